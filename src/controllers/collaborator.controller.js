@@ -0,0 +1,159 @@
+const collaboratorService = require('../services/collaborator.service');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * List collaborators of an itinerary
+ * GET /:id/collaborators
+ */
+exports.getCollaborators = async (req, res) => {
+  try {
+    const itinerary = req.itinerary;
+    const userId = req.user?.id || req.user?.userId;
+
+    res.json({
+      success: true,
+      count: itinerary.collaborators.length,
+      data: {
+        ownerId: itinerary.userId,
+        role: req.itineraryRole,
+        collaborators: collaboratorService.getVisibleCollaborators(itinerary, userId, req.itineraryRole)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Get Collaborators Error:', error);
+    sendError(res, error, 'Failed to get collaborators');
+  }
+};
+
+/**
+ * Invite a co-traveller (owner only)
+ * POST /:id/collaborators
+ * Body: { email?, userId?, role: 'editor' | 'viewer' }
+ */
+exports.inviteCollaborator = async (req, res) => {
+  try {
+    const ownerId = req.user?.id || req.user?.userId;
+    console.log(`\n✉️ [COLLABORATORS] Invite to itinerary ${req.params.id}:`, req.body);
+
+    const collaborator = await collaboratorService.inviteCollaborator(req.itinerary, req.body, ownerId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: collaborator.toObject()
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Invite Error:', error);
+    sendError(res, error, 'Failed to invite collaborator');
+  }
+};
+
+/**
+ * Change a collaborator's role (owner only)
+ * PATCH /:id/collaborators/:collaboratorId
+ * Body: { role }
+ */
+exports.updateCollaborator = async (req, res) => {
+  try {
+    const ownerId = req.user?.id || req.user?.userId;
+    const { collaboratorId } = req.params;
+
+    const collaborator = await collaboratorService.updateCollaboratorRole(
+      req.itinerary,
+      collaboratorId,
+      req.body.role,
+      ownerId
+    );
+
+    res.json({
+      success: true,
+      message: 'Collaborator updated successfully',
+      data: collaborator.toObject()
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Update Error:', error);
+    sendError(res, error, 'Failed to update collaborator');
+  }
+};
+
+/**
+ * Revoke an invite or remove a collaborator (owner, or the collaborator leaving)
+ * DELETE /:id/collaborators/:collaboratorId
+ */
+exports.removeCollaborator = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+    const { collaboratorId } = req.params;
+
+    const collaborator = await collaboratorService.removeCollaborator(req.itinerary, collaboratorId, userId);
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed successfully',
+      data: collaborator.toObject()
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Remove Error:', error);
+    sendError(res, error, 'Failed to remove collaborator');
+  }
+};
+
+/**
+ * List pending invitations for the authenticated user
+ * GET /invitations
+ */
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await collaboratorService.getPendingInvitations(req.user);
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Get Invitations Error:', error);
+    sendError(res, error, 'Failed to get invitations');
+  }
+};
+
+/**
+ * Accept an invitation to an itinerary
+ * POST /:id/invitations/accept
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { itinerary, collaborator } = await collaboratorService.acceptInvitation(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        itineraryId: itinerary._id,
+        tripName: itinerary.tripName,
+        role: collaborator.role
+      }
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Accept Invitation Error:', error);
+    sendError(res, error, 'Failed to accept invitation');
+  }
+};
+
+/**
+ * Decline an invitation to an itinerary
+ * POST /:id/invitations/decline
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    await collaboratorService.declineInvitation(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined successfully'
+    });
+  } catch (error) {
+    console.error('❌ [COLLABORATORS] Decline Invitation Error:', error);
+    sendError(res, error, 'Failed to decline invitation');
+  }
+};
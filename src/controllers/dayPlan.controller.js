@@ -0,0 +1,233 @@
+const dayPlanService = require('../services/dayPlan.service');
+const itineraryGeneratorService = require('../services/itineraryGenerator.service');
+const { sendError } = require('../utils/httpError');
+const { parseIfMatch, setVersionHeader } = require('../utils/itineraryVersion');
+
+/**
+ * Helper: Build the edit context passed to the day plan service
+ */
+const editContext = (req) => ({
+  userId: req.user?.id || req.user?.userId,
+  expectedVersion: parseIfMatch(req)
+});
+
+/**
+ * Add a place, activity or meal to a day
+ * POST /:id/days/:dayNumber/:collection
+ * Body: { item, position? }
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const { id, dayNumber, collection } = req.params;
+    const { item, position } = req.body;
+
+    console.log(`\n➕ [DAY-PLAN] Add ${collection} item - Itinerary: ${id}, Day: ${dayNumber}`);
+
+    if (!item || typeof item !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Item data is required'
+      });
+    }
+
+    const result = await dayPlanService.addItem(id, dayNumber, collection, item, position, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.status(201).json({
+      success: true,
+      message: 'Item added successfully',
+      data: {
+        item: result.item,
+        day: result.day
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Add Item Error:', error);
+    sendError(res, error, 'Failed to add item');
+  }
+};
+
+/**
+ * Update a place, activity or meal in a day
+ * PUT /:id/days/:dayNumber/:collection/:itemId
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const { id, dayNumber, collection, itemId } = req.params;
+
+    console.log(`\n✏️ [DAY-PLAN] Update ${collection} item ${itemId} - Itinerary: ${id}, Day: ${dayNumber}`);
+
+    const result = await dayPlanService.updateItem(id, dayNumber, collection, itemId, req.body, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Item updated successfully',
+      data: {
+        item: result.item,
+        day: result.day
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Update Item Error:', error);
+    sendError(res, error, 'Failed to update item');
+  }
+};
+
+/**
+ * Remove a place, activity or meal from a day
+ * DELETE /:id/days/:dayNumber/:collection/:itemId
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    const { id, dayNumber, collection, itemId } = req.params;
+
+    console.log(`\n🗑️ [DAY-PLAN] Remove ${collection} item ${itemId} - Itinerary: ${id}, Day: ${dayNumber}`);
+
+    const result = await dayPlanService.removeItem(id, dayNumber, collection, itemId, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Item removed successfully',
+      data: {
+        item: result.item,
+        day: result.day
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Remove Item Error:', error);
+    sendError(res, error, 'Failed to remove item');
+  }
+};
+
+/**
+ * Reorder the places, activities or meals of a day
+ * PUT /:id/days/:dayNumber/:collection/order
+ * Body: { order: [itemId, ...] }
+ */
+exports.reorderItems = async (req, res) => {
+  try {
+    const { id, dayNumber, collection } = req.params;
+    const { order } = req.body;
+
+    console.log(`\n🔀 [DAY-PLAN] Reorder ${collection} - Itinerary: ${id}, Day: ${dayNumber}`);
+
+    const result = await dayPlanService.reorderItems(id, dayNumber, collection, order, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Items reordered successfully',
+      data: {
+        day: result.day
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Reorder Items Error:', error);
+    sendError(res, error, 'Failed to reorder items');
+  }
+};
+
+/**
+ * Move a place, activity or meal to another day
+ * POST /:id/days/:dayNumber/:collection/:itemId/move
+ * Body: { toDay, position? }
+ */
+exports.moveItem = async (req, res) => {
+  try {
+    const { id, dayNumber, collection, itemId } = req.params;
+    const { toDay, position } = req.body;
+
+    console.log(`\n📦 [DAY-PLAN] Move ${collection} item ${itemId} - Itinerary: ${id}, Day ${dayNumber} → Day ${toDay}`);
+
+    if (toDay === undefined || toDay === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target day (toDay) is required'
+      });
+    }
+
+    const result = await dayPlanService.moveItem(id, dayNumber, collection, itemId, toDay, position, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Item moved successfully',
+      data: {
+        item: result.item,
+        sourceDay: result.sourceDay,
+        targetDay: result.targetDay
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Move Item Error:', error);
+    sendError(res, error, 'Failed to move item');
+  }
+};
+
+/**
+ * Change the trip's start/end dates and re-flow the day plans
+ * PUT /:id/dates
+ * Body: { startDate?, endDate? }
+ */
+exports.changeDates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = req.body;
+
+    console.log(`\n📅 [DAY-PLAN] Change dates - Itinerary: ${id}, ${startDate} → ${endDate}`);
+
+    if (!startDate && !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate or endDate is required'
+      });
+    }
+
+    const result = await dayPlanService.changeDates(id, { startDate, endDate }, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Trip dates updated successfully',
+      data: {
+        itinerary: result.itinerary,
+        changes: result.changes
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Change Dates Error:', error);
+    sendError(res, error, 'Failed to change trip dates');
+  }
+};
+
+/**
+ * Regenerate one day, keeping locked places, activities and meals
+ * POST /:id/days/:dayNumber/regenerate
+ * Body: { interests?, pace?, excludePlaceIds? }
+ */
+exports.regenerateDay = async (req, res) => {
+  try {
+    const { id, dayNumber } = req.params;
+
+    console.log(`\n🔄 [DAY-PLAN] Regenerate day ${dayNumber} - Itinerary: ${id}`);
+
+    const result = await itineraryGeneratorService.regenerateDay(id, dayNumber, req.body || {}, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Day regenerated successfully',
+      data: {
+        day: result.day,
+        totalEstimatedCost: result.itinerary.totalEstimatedCost,
+        warnings: result.warnings,
+        seed: result.seed
+      }
+    });
+  } catch (error) {
+    console.error('❌ [DAY-PLAN] Regenerate Day Error:', error);
+    sendError(res, error, 'Failed to regenerate day');
+  }
+};
@@ -0,0 +1,41 @@
+const generationJobService = require('../services/generationJob.service');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * Get the status of an itinerary generation job
+ * GET /jobs/:jobId
+ */
+exports.getJob = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+    const job = await generationJobService.getJob(req.params.jobId, userId);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('❌ [JOBS] Get Job Error:', error.message);
+    sendError(res, error, 'Failed to get generation job');
+  }
+};
+
+/**
+ * Cancel an itinerary generation job
+ * POST /jobs/:jobId/cancel
+ */
+exports.cancelJob = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+    const job = await generationJobService.cancelJob(req.params.jobId, userId);
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Generation job cancelled' : 'Cancellation requested',
+      data: job
+    });
+  } catch (error) {
+    console.error('❌ [JOBS] Cancel Job Error:', error.message);
+    sendError(res, error, 'Failed to cancel generation job');
+  }
+};
@@ -1,7 +1,15 @@
 const itineraryGeneratorService = require('../services/itineraryGenerator.service');
 const googlePlacesService = require('../services/googlePlaces.service');
+const itineraryCloneService = require('../services/itineraryClone.service');
+const generationJobService = require('../services/generationJob.service');
+const collaboratorService = require('../services/collaborator.service');
 const Itinerary = require('../models/Itinerary');
 const axios = require('axios');
+const { sendError } = require('../utils/httpError');
+const { parseIfMatch, setVersionHeader } = require('../utils/itineraryVersion');
+const { validateParty } = require('../utils/party');
+const { validateDietary } = require('../utils/dietary');
+const { validateSeed } = require('../utils/seededRandom');
 
 /**
  * Create a new simple itinerary (without auto-generating day plans)
@@ -115,7 +123,8 @@ exports.createItinerary = async (req, res) => {
 };
 
 /**
- * Generate a new itinerary with AI-powered day plans
+ * Generate a new itinerary with AI-powered day plans.
+ * Runs as a background job: responds 202 with the job ID to poll at GET /jobs/:jobId
  */
 exports.generateItinerary = async (req, res) => {
   try {
@@ -135,7 +144,8 @@ exports.generateItinerary = async (req, res) => {
       startLocation,
       endLocation,
       destinations = [],
-      preferences = {}
+      preferences = {},
+      seed
     } = req.body;
 
     // Validation
@@ -146,15 +156,63 @@ exports.generateItinerary = async (req, res) => {
       });
     }
 
+    // Optional seed: the same seed and inputs reproduce the same itinerary
+    const seedError = validateSeed(seed);
+    if (seedError) {
+      return res.status(400).json({
+        success: false,
+        message: seedError
+      });
+    }
+
     // Set default preferences
     const defaultPreferences = {
       travelStyle: preferences.travelStyle || 'moderate',
       interests: preferences.interests || ['tourist_attraction', 'museum', 'park'],
       budget: preferences.budget || 'moderate',
       accommodation: preferences.accommodation || 'hotel',
-      transportation: preferences.transportation || 'mixed'
+      transportation: preferences.transportation || 'mixed',
+      excludedPlaceIds: preferences.excludedPlaceIds || [],
+      restDays: preferences.restDays === true
     };
 
+    // Optional numeric budget (LKR) for the whole trip or per day
+    if (preferences.budgetAmount !== undefined && preferences.budgetAmount !== null) {
+      const budgetAmount = Number(preferences.budgetAmount);
+      if (!Number.isFinite(budgetAmount) || budgetAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'budgetAmount must be a positive number (LKR)'
+        });
+      }
+      defaultPreferences.budgetAmount = budgetAmount;
+      defaultPreferences.budgetPeriod = preferences.budgetPeriod === 'daily' ? 'daily' : 'total';
+    }
+
+    // Optional party composition (adults, children's ages, seniors, accessibility needs)
+    if (preferences.party !== undefined && preferences.party !== null) {
+      const partyError = validateParty(preferences.party);
+      if (partyError) {
+        return res.status(400).json({
+          success: false,
+          message: partyError
+        });
+      }
+      defaultPreferences.party = preferences.party;
+    }
+
+    // Optional dietary preferences for meal planning
+    if (preferences.dietary !== undefined && preferences.dietary !== null) {
+      const dietaryError = validateDietary(preferences.dietary);
+      if (dietaryError) {
+        return res.status(400).json({
+          success: false,
+          message: dietaryError
+        });
+      }
+      defaultPreferences.dietary = preferences.dietary;
+    }
+
     const itineraryData = {
       userId,
       tripName,
@@ -163,21 +221,26 @@ exports.generateItinerary = async (req, res) => {
       startLocation,
       endLocation,
       destinations,
-      preferences: defaultPreferences
+      preferences: defaultPreferences,
+      ...(seed !== undefined && seed !== null && { seed })
     };
 
-    const itinerary = await itineraryGeneratorService.generateItinerary(itineraryData);
+    const job = await generationJobService.enqueue(userId, itineraryData);
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: 'Itinerary generated successfully',
-      data: itinerary
+      message: 'Itinerary generation started',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/jobs/${job._id}`
+      }
     });
   } catch (error) {
     console.error('❌ Generate Itinerary Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to generate itinerary',
+      message: 'Failed to start itinerary generation',
       error: error.message
     });
   }
@@ -188,13 +251,17 @@ exports.generateItinerary = async (req, res) => {
  */
 exports.getItinerary = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const itinerary = await itineraryGeneratorService.getItinerary(id);
+    // Loaded and access-checked by authorizeItinerary
+    const itinerary = req.itinerary;
+    const userId = req.user?.id || req.user?.userId;
 
+    setVersionHeader(res, itinerary);
     res.json({
       success: true,
-      data: itinerary
+      data: {
+        ...itinerary.toJSON(),
+        collaborators: collaboratorService.getVisibleCollaborators(itinerary, userId, req.itineraryRole)
+      }
     });
   } catch (error) {
     console.error('❌ Get Itinerary Error:', error);
@@ -241,24 +308,62 @@ exports.updateItinerary = async (req, res) => {
     
     const { id } = req.params;
     const updates = req.body;
+    const userId = req.user?.id || req.user?.userId;
+    const expectedVersion = parseIfMatch(req);
+
+    // Publishing a trip as a template is reserved for the owner
+    if (updates.isPublic !== undefined && req.itineraryRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can change whether this itinerary is public'
+      });
+    }
 
-    const itinerary = await itineraryGeneratorService.updateItinerary(id, updates);
+    const itinerary = await itineraryGeneratorService.updateItinerary(id, updates, { userId, expectedVersion });
 
     console.log('✅ [ITINERARY] Itinerary updated successfully');
     console.log('📊 Day plans updated:', itinerary.dayPlans?.length || 0);
 
+    setVersionHeader(res, itinerary);
     res.json({
       success: true,
       message: 'Itinerary updated successfully',
-      data: itinerary
+      data: itinerary,
+      ...(itinerary.$locals.dateChanges && { dateChanges: itinerary.$locals.dateChanges })
     });
   } catch (error) {
     console.error('❌ [ITINERARY] Update Itinerary Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update itinerary',
-      error: error.message
+    sendError(res, error, 'Failed to update itinerary');
+  }
+};
+
+/**
+ * Clone an itinerary into a new draft trip owned by the caller
+ * POST /:id/clone
+ * Body: { startDate, tripName? }
+ */
+exports.cloneItinerary = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+    const { startDate, tripName } = req.body;
+
+    console.log(`\n🧬 [ITINERARY] Clone itinerary ${req.params.id} → start ${startDate}`);
+
+    const itinerary = await itineraryCloneService.cloneItinerary(req.itinerary, {
+      userId,
+      startDate,
+      tripName
     });
+
+    setVersionHeader(res, itinerary);
+    res.status(201).json({
+      success: true,
+      message: 'Itinerary cloned successfully',
+      data: itinerary
+    });
+  } catch (error) {
+    console.error('❌ [ITINERARY] Clone Itinerary Error:', error);
+    sendError(res, error, 'Failed to clone itinerary');
   }
 };
 
@@ -1,6 +1,9 @@
 const Itinerary = require('../models/Itinerary');
 const Route = require('../models/Route');
 const mongoose = require('mongoose');
+const { sendError } = require('../utils/httpError');
+const { saveWithVersionCheck } = require('../utils/itineraryVersion');
+const collaboratorService = require('../services/collaborator.service');
 
 /**
  * Get My Trips - Categorized by status
@@ -21,8 +24,8 @@ exports.getMyTrips = async (req, res) => {
     const userId = req.user.userId;
     const now = new Date();
 
-    // Fetch all user's itineraries
-    const allItineraries = await Itinerary.find({ userId }).sort({ createdAt: -1 });
+    // Fetch all user's itineraries (owned and shared with them)
+    const allItineraries = await Itinerary.find(Itinerary.accessibleBy(userId)).sort({ createdAt: -1 });
     console.log(`📊 Found ${allItineraries.length} total itineraries for user`);
 
     // OPTIMIZATION: Fetch all routes in one query to avoid N+1 problem
@@ -61,8 +64,11 @@ exports.getMyTrips = async (req, res) => {
         completionPercentage,
         hasRoute,
         selectedRoute: itinerary.selectedRoute,
+        role: itinerary.getUserRole(userId),
+        isShared: itinerary.userId !== String(userId),
         dayPlansCount: itinerary.dayPlans?.length || 0,
         placesCount: itinerary.dayPlans?.reduce((sum, day) => sum + (day.places?.length || 0), 0) || 0,
+        unscheduledCount: itinerary.unscheduledPlaces?.length || 0,
         tripDuration: itinerary.tripDuration,
         daysUntilStart: itinerary.daysUntilStart,
         isUpcoming,
@@ -203,7 +209,7 @@ exports.getTripsByCategory = async (req, res) => {
  */
 exports.getMyTripsData = async (userId) => {
   const now = new Date();
-  const allItineraries = await Itinerary.find({ userId }).sort({ createdAt: -1 });
+  const allItineraries = await Itinerary.find(Itinerary.accessibleBy(userId)).sort({ createdAt: -1 });
 
   // OPTIMIZATION: Fetch all routes in one query to avoid N+1 problem
   const itineraryIds = allItineraries.map(i => i._id);
@@ -278,8 +284,11 @@ exports.getMyTripsData = async (userId) => {
         estimatedDuration: selectedRoute.estimatedDuration,
         estimatedCost: selectedRoute.estimatedCosts?.total || 0
       } : null,
+      role: itinerary.getUserRole(userId),
+      isShared: itinerary.userId !== String(userId),
       dayPlansCount: itinerary.dayPlans?.length || 0,
       placesCount: itinerary.dayPlans?.reduce((sum, day) => sum + (day.places?.length || 0), 0) || 0,
+      unscheduledCount: itinerary.unscheduledPlaces?.length || 0,
       dayPlans: itinerary.dayPlans || [],
       locations: allLocations,
       tripDuration: itinerary.tripDuration,
@@ -335,18 +344,8 @@ exports.getMyTripsData = async (userId) => {
  */
 exports.getTripDetails = async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const tripId = req.params.id;
-
-    // Find the itinerary
-    const itinerary = await Itinerary.findOne({ _id: tripId, userId });
-
-    if (!itinerary) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trip not found'
-      });
-    }
+    // Loaded and access-checked by authorizeItinerary
+    const itinerary = req.itinerary;
 
     const now = new Date();
     const completionPercentage = itinerary.calculateCompletionPercentage();
@@ -457,6 +456,9 @@ exports.getTripDetails = async (req, res) => {
         estimatedCosts: selectedRoute.estimatedCosts,
         waypoints: selectedRoute.waypoints
       } : null,
+      role: req.itineraryRole,
+      collaborators: collaboratorService.getVisibleCollaborators(itinerary, req.user?.id || req.user?.userId, req.itineraryRole),
+      lastModifiedBy: itinerary.lastModifiedBy,
       allRoutes: allRoutes.map(route => ({
         _id: route._id,
         routeName: route.routeName,
@@ -466,6 +468,8 @@ exports.getTripDetails = async (req, res) => {
       })),
       dayPlansCount: itinerary.dayPlans?.length || 0,
       placesCount: itinerary.dayPlans?.reduce((sum, day) => sum + (day.places?.length || 0), 0) || 0,
+      unscheduledCount: itinerary.unscheduledPlaces?.length || 0,
+      unscheduledPlaces: itinerary.unscheduledPlaces || [],
       dayPlans: itinerary.dayPlans || [],
       locations: allLocations,
       checklist: allChecklists,
@@ -504,21 +508,13 @@ exports.getTripDetails = async (req, res) => {
  */
 exports.toggleChecklistItem = async (req, res) => {
   try {
-    const userId = req.user.userId;
     const { id: tripId, itemId } = req.params;
     const { completed } = req.body; // Optional: specify completed state, otherwise toggle
 
     console.log(`\n✏️ Toggle Checklist Item - Trip: ${tripId}, Item: ${itemId}, Completed: ${completed}`);
 
-    // Find the itinerary
-    const itinerary = await Itinerary.findOne({ _id: tripId, userId });
-
-    if (!itinerary) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trip not found'
-      });
-    }
+    // Loaded and access-checked by authorizeItinerary
+    const itinerary = req.itinerary;
 
     // Find the checklist item in day plans
     let itemFound = false;
@@ -559,7 +555,8 @@ exports.toggleChecklistItem = async (req, res) => {
     }
 
     // Save the updated itinerary
-    await itinerary.save();
+    itinerary.recordEdit(req.user?.id || req.user?.userId, 'checklist.toggle');
+    await saveWithVersionCheck(itinerary);
 
     console.log(`✅ Checklist item updated:`, updatedItem);
 
@@ -571,10 +568,6 @@ exports.toggleChecklistItem = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error toggling checklist item:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to update checklist item',
-      error: error.message
-    });
+    return sendError(res, error, 'Failed to update checklist item');
   }
 };
@@ -0,0 +1,88 @@
+const revisionService = require('../services/revision.service');
+const { sendError } = require('../utils/httpError');
+const { parseIfMatch, setVersionHeader } = require('../utils/itineraryVersion');
+
+/**
+ * List revisions of an itinerary
+ * GET /:id/revisions?limit=50
+ */
+exports.getRevisions = async (req, res) => {
+  try {
+    const revisions = await revisionService.listRevisions(req.params.id, req.query.limit);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: {
+        currentRevision: req.itinerary.revision,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('❌ [REVISIONS] Get Revisions Error:', error);
+    sendError(res, error, 'Failed to get revisions');
+  }
+};
+
+/**
+ * Get a single revision with its snapshot
+ * GET /:id/revisions/:revision
+ */
+exports.getRevision = async (req, res) => {
+  try {
+    const revision = await revisionService.getRevision(req.params.id, req.params.revision);
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('❌ [REVISIONS] Get Revision Error:', error);
+    sendError(res, error, 'Failed to get revision');
+  }
+};
+
+/**
+ * Diff two revisions (days, places and costs)
+ * GET /:id/revisions/diff?from=3&to=5
+ */
+exports.diffRevisions = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const diff = await revisionService.diffRevisions(req.params.id, from, to);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('❌ [REVISIONS] Diff Revisions Error:', error);
+    sendError(res, error, 'Failed to diff revisions');
+  }
+};
+
+/**
+ * Restore an earlier revision as a new revision
+ * POST /:id/revisions/:revision/restore
+ */
+exports.restoreRevision = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+    console.log(`\n⏪ [REVISIONS] Restore itinerary ${req.params.id} to revision ${req.params.revision}`);
+
+    const expectedVersion = parseIfMatch(req);
+
+    const itinerary = await revisionService.restoreRevision(req.params.id, req.params.revision, { userId, expectedVersion });
+
+    setVersionHeader(res, itinerary);
+    res.json({
+      success: true,
+      message: `Revision ${req.params.revision} restored successfully`,
+      data: itinerary
+    });
+  } catch (error) {
+    console.error('❌ [REVISIONS] Restore Revision Error:', error);
+    sendError(res, error, 'Failed to restore revision');
+  }
+};
@@ -1,7 +1,18 @@
 const Route = require('../models/Route');
-const Itinerary = require('../models/Itinerary');
 const googleDirectionsService = require('../services/googleDirections.service');
 const googlePlacesService = require('../services/googlePlaces.service');
+const interestTaxonomy = require('../utils/interestTaxonomy');
+const { getPartySize, getVehicle } = require('../utils/party');
+const { toCoordinates, haversineDistance } = require('../utils/geo');
+const polyline = require('../utils/polyline');
+const { sendError } = require('../utils/httpError');
+const { saveWithVersionCheck } = require('../utils/itineraryVersion');
+
+const NEAR_ROUTE_METERS = 2000;
+// Places searches allowed per trip when comparing route alternatives for the scenic route
+const MAX_SCENIC_SEARCHES = 10;
+// Alternatives whose midpoints fall in the same grid cell (about 5km) share one search
+const SCENIC_GRID_DEGREES = 0.05;
 
 /**
  * Calculate routes for an itinerary (all 3 types: recommended, shortest, scenic)
@@ -15,102 +26,61 @@ exports.calculateRoutes = async (req, res) => {
     const { itineraryId } = req.params;
     console.log('🆔 Itinerary ID:', itineraryId);
 
-    // Get itinerary
-    console.log('🔍 Fetching itinerary from database...');
-    const itinerary = await Itinerary.findById(itineraryId);
-    
-    if (!itinerary) {
-      console.log('❌ Itinerary not found!');
-      return res.status(404).json({
-        success: false,
-        message: 'Itinerary not found'
-      });
-    }
+    // Itinerary is loaded and access-checked by authorizeItinerary
+    const itinerary = req.itinerary;
     console.log('✅ Itinerary found:', itinerary.tripName);
     console.log('📍 Start:', itinerary.startLocation?.name);
     console.log('📍 End:', itinerary.endLocation?.name);
     console.log('📍 Destinations field:', itinerary.destinations?.length || 0);
     console.log('📍 Day plans:', itinerary.dayPlans?.length || 0);
 
-    // Extract waypoints from day plans (all places in chronological order)
-    let waypointsFromDayPlans = [];
-    if (itinerary.dayPlans && itinerary.dayPlans.length > 0) {
-      console.log('🗺️  Extracting waypoints from day plans...');
-      itinerary.dayPlans.forEach((day, dayIdx) => {
-        if (day.places && day.places.length > 0) {
-          console.log(`  Day ${day.dayNumber}: ${day.places.length} places`);
-          day.places.forEach((place, placeIdx) => {
-            if (place.location && place.location.latitude && place.location.longitude) {
-              waypointsFromDayPlans.push({
-                latitude: place.location.latitude,
-                longitude: place.location.longitude,
-                name: place.name || `Place ${dayIdx + 1}-${placeIdx + 1}`,
-                placeId: place.placeId
-              });
-              console.log(`    - ${place.name}`);
-            }
-          });
-        }
-      });
-    }
+    // Each day runs from last night's stay through the day's places to tonight's stay
+    const days = this.buildDayWaypoints(itinerary);
+    days.forEach(day => {
+      console.log(`  Day ${day.dayNumber}: ${day.waypoints.map(wp => wp.name).join(' → ')}`);
+    });
 
-    // Build waypoints:
-    // 1. Start with startLocation
-    // 2. Add places from day plans (primary source)
-    // 3. If no day plan places, fall back to destinations field
-    // 4. End with endLocation
-    let intermediateWaypoints = [];
-    
-    // Prefer waypoints from day plans (these are the actual planned locations)
-    if (waypointsFromDayPlans.length > 0) {
-      intermediateWaypoints.push(...waypointsFromDayPlans);
-      console.log(`✅ Using ${waypointsFromDayPlans.length} waypoints from day plans`);
-    } 
-    // Fall back to destinations field if no day plan places
-    else if (itinerary.destinations && itinerary.destinations.length > 0) {
-      intermediateWaypoints.push(...itinerary.destinations);
-      console.log(`✅ Using ${itinerary.destinations.length} waypoints from destinations field`);
+    // Calculate all route types for each day that moves
+    console.log('\n🧮 Calling Google Directions API per day...');
+    const dayRoutes = [];
+    const scenicSearch = this.createScenicSearch(itinerary);
+    for (const day of days) {
+      if (day.waypoints.length < 2) {
+        console.log(`  Day ${day.dayNumber}: no travel`);
+        continue;
+      }
+      const routeData = await googleDirectionsService.calculateAllRouteTypes(day.waypoints, {
+        countAttractions: (alternatives) => this.countAttractionsNearRoutes(alternatives, itinerary.preferences?.interests, scenicSearch)
+      });
+      dayRoutes.push({ ...day, routeData });
     }
+    console.log(`✅ Google API responses received for ${dayRoutes.length} day(s)`);
 
-    const waypoints = [
-      itinerary.startLocation,
-      ...intermediateWaypoints,
-      itinerary.endLocation
-    ].map(location => ({
-      latitude: location.latitude,
-      longitude: location.longitude,
-      name: location.name,
-      placeId: location.placeId
-    }));
-
-    console.log(`\n📍 Building final waypoints... Total: ${waypoints.length}`);
-    console.log(`   - Start: ${itinerary.startLocation?.name}`);
-    if (intermediateWaypoints.length > 0) {
-      console.log(`   - Intermediate waypoints: ${intermediateWaypoints.length}`);
-      intermediateWaypoints.forEach((wp, idx) => {
-        console.log(`     ${idx + 1}. ${wp.name}`);
+    if (dayRoutes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to route. Add places to the day plans or set different start and end locations.'
       });
-    } else {
-      console.log(`   - No intermediate waypoints (direct route)`);
     }
-    console.log(`   - End: ${itinerary.endLocation?.name}`);
-
-    // Calculate all route types
-    console.log('\n🧮 Calling Google Directions API...');
-    const routeData = await googleDirectionsService.calculateAllRouteTypes(waypoints);
-    console.log('✅ Google API response received');
-    console.log('📊 Route types calculated:', Object.keys(routeData));
 
     // Delete existing routes for this itinerary
     console.log('\n🗑️  Deleting old routes...');
     const deleteResult = await Route.deleteMany({ itineraryId });
     console.log(`✅ Deleted ${deleteResult.deletedCount} old routes`);
 
+    const waypoints = dayRoutes.flatMap(day => day.waypoints.map(wp => ({ ...wp, dayNumber: day.dayNumber })));
+
     // Save all route types to database
     console.log('\n💾 Saving routes to database...');
     const savedRoutes = {};
     
-    for (const [type, data] of Object.entries(routeData)) {
+    for (const type of ['recommended', 'shortest', 'scenic']) {
+      // Join the days into one trip route; every segment keeps its day
+      const data = googleDirectionsService.stitchRoutes(dayRoutes.map(day => ({
+        ...day.routeData[type],
+        segments: day.routeData[type].segments.map(segment => ({ ...segment, dayNumber: day.dayNumber }))
+      })));
+
       console.log(`\n📝 Processing ${type} route:`);
       console.log(`  Distance: ${(data.totalDistance / 1000).toFixed(1)}km`);
       console.log(`  Duration: ${(data.totalDuration / 60).toFixed(0)}min`);
@@ -119,12 +89,27 @@ exports.calculateRoutes = async (req, res) => {
       let attractions = [];
       if (type === 'scenic') {
         console.log('  🎨 Finding attractions for scenic route...');
-        attractions = await this.findAttractionsAlongRoute(data.segments, waypoints);
+        attractions = await this.findAttractionsAlongRoute(data.segments, waypoints, itinerary.preferences?.interests);
         console.log(`  ✅ Found ${attractions.length} attractions`);
       }
 
-      // Calculate costs
-      const costs = this.estimateRouteCosts(data.totalDistance, itinerary.preferences);
+      // Calculate costs day by day (parking is paid each day)
+      const dayLegs = dayRoutes.map(day => {
+        const dayData = day.routeData[type];
+        const first = day.waypoints[0];
+        const last = day.waypoints[day.waypoints.length - 1];
+
+        return {
+          dayNumber: day.dayNumber,
+          startPoint: { latitude: first.latitude, longitude: first.longitude, name: first.name },
+          endPoint: { latitude: last.latitude, longitude: last.longitude, name: last.name },
+          distance: dayData.totalDistance,
+          duration: dayData.totalDuration,
+          polyline: dayData.overview?.polyline,
+          estimatedCosts: this.estimateRouteCosts(dayData.totalDistance, itinerary.preferences)
+        };
+      });
+      const costs = this.sumRouteCosts(dayLegs.map(leg => leg.estimatedCosts));
       console.log(`  💰 Estimated costs: LKR ${costs.total}`);
 
       const route = new Route({
@@ -134,10 +119,13 @@ exports.calculateRoutes = async (req, res) => {
         totalDuration: data.totalDuration,
         waypoints: waypoints.map((wp, idx) => ({
           location: { latitude: wp.latitude, longitude: wp.longitude },
+          placeId: wp.placeId,
           name: wp.name,
-          order: idx
+          order: idx,
+          dayNumber: wp.dayNumber
         })),
         segments: data.segments,
+        dayLegs,
         overview: data.overview,
         attractionsAlongRoute: attractions,
         estimatedCosts: costs
@@ -163,11 +151,9 @@ exports.calculateRoutes = async (req, res) => {
 
     // Update itinerary with selectedRoute (default to recommended)
     console.log('\n🔄 Updating itinerary with default selectedRoute...');
-    await Itinerary.findByIdAndUpdate(
-      itineraryId,
-      { selectedRoute: 'recommended' },
-      { new: true }
-    );
+    itinerary.selectedRoute = 'recommended';
+    itinerary.recordEdit(req.user?.id || req.user?.userId, 'routes.calculate');
+    await saveWithVersionCheck(itinerary);
     console.log('✅ Itinerary updated with selectedRoute: recommended');
 
     res.json({
@@ -183,11 +169,7 @@ exports.calculateRoutes = async (req, res) => {
     console.error('\n❌ ===== CALCULATE ROUTES ERROR =====');
     console.error('Error message:', error.message);
     console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to calculate routes',
-      error: error.message
-    });
+    sendError(res, error, 'Failed to calculate routes');
   }
   console.log('===== CALCULATE ROUTES ENDED =====\n');
 };
@@ -199,7 +181,8 @@ exports.getRoute = async (req, res) => {
   try {
     const { routeId } = req.params;
 
-    const route = await Route.findById(routeId).populate('itineraryId');
+    // Only the trip itself: sharing and booking details stay with the itinerary endpoints
+    const route = await Route.findById(routeId).populate('itineraryId', '-collaborators -bookingIds -editLog');
     
     if (!route) {
       return res.status(404).json({
@@ -223,21 +206,53 @@ exports.getRoute = async (req, res) => {
 };
 
 /**
- * Get all routes for an itinerary
+ * Get all routes for an itinerary, with a day-by-day breakdown and trip totals
  */
 exports.getItineraryRoutes = async (req, res) => {
   try {
     const { itineraryId } = req.params;
 
     const routes = await Route.find({ itineraryId }).sort({ score: -1 });
+    const byType = {
+      recommended: routes.find(r => r.routeType === 'recommended'),
+      shortest: routes.find(r => r.routeType === 'shortest'),
+      scenic: routes.find(r => r.routeType === 'scenic')
+    };
+
+    const dayNumbers = [...new Set(routes.flatMap(route => route.dayLegs.map(leg => leg.dayNumber)))]
+      .sort((a, b) => a - b);
+    const summarizeLeg = (leg) => leg && {
+      from: leg.startPoint?.name,
+      to: leg.endPoint?.name,
+      distance: leg.distance,
+      duration: leg.duration,
+      estimatedCosts: leg.estimatedCosts
+    };
+
+    const days = dayNumbers.map(dayNumber => ({
+      dayNumber,
+      ...Object.fromEntries(Object.entries(byType).map(([type, route]) => [
+        type,
+        summarizeLeg(route?.dayLegs.find(leg => leg.dayNumber === dayNumber)) || null
+      ]))
+    }));
+
+    const totals = Object.fromEntries(Object.entries(byType)
+      .filter(([, route]) => route)
+      .map(([type, route]) => [type, {
+        distance: route.totalDistance,
+        duration: route.totalDuration,
+        estimatedCosts: route.estimatedCosts,
+        days: route.dayLegs.length
+      }]));
 
     res.json({
       success: true,
       count: routes.length,
       data: {
-        recommended: routes.find(r => r.routeType === 'recommended'),
-        shortest: routes.find(r => r.routeType === 'shortest'),
-        scenic: routes.find(r => r.routeType === 'scenic')
+        ...byType,
+        days,
+        totals
       }
     });
   } catch (error) {
@@ -298,11 +313,120 @@ exports.compareRoutes = async (req, res) => {
 };
 
 /**
- * Helper: Find attractions along the route
+ * Helper: Waypoints for each day. A day starts where the previous one ended (the
+ * night's accommodation when it has a location, otherwise the last place; the trip
+ * start on day 1), visits the day's places and ends at that night's accommodation
+ * (the trip end on the last day). Without day plans, the trip runs start →
+ * destinations → end as day 1.
+ * @returns {Array<object>} [{ dayNumber, waypoints: [{ latitude, longitude, name, placeId }] }]
+ */
+exports.buildDayWaypoints = (itinerary) => {
+  const toWaypoint = (point, name) => {
+    const coordinates = toCoordinates(point);
+    return coordinates && { ...coordinates, name: name || point.name, placeId: point.placeId };
+  };
+  const start = toWaypoint(itinerary.startLocation);
+  const end = toWaypoint(itinerary.endLocation);
+  const dayPlans = [...(itinerary.dayPlans || [])].sort((a, b) => a.dayNumber - b.dayNumber);
+
+  if (dayPlans.length === 0) {
+    const waypoints = [start, ...(itinerary.destinations || []).map(d => toWaypoint(d)), end].filter(Boolean);
+    return [{ dayNumber: 1, waypoints }];
+  }
+
+  let current = start;
+  return dayPlans.map((day, index) => {
+    const isLastDay = index === dayPlans.length - 1;
+    const stay = day.accommodation && toWaypoint(day.accommodation);
+    const points = [
+      current,
+      ...(day.places || []).map((place, placeIdx) => toWaypoint(place, place.name || `Place ${day.dayNumber}-${placeIdx + 1}`)),
+      isLastDay ? end : stay
+    ].filter(Boolean);
+
+    // Drop consecutive repeats (e.g. a day that starts at the place it visits first)
+    const waypoints = points.filter((point, i) => i === 0 ||
+      point.latitude !== points[i - 1].latitude || point.longitude !== points[i - 1].longitude);
+
+    current = waypoints[waypoints.length - 1] || current;
+    return { dayNumber: day.dayNumber, waypoints };
+  });
+};
+
+/**
+ * Helper: Add up route cost estimates
+ */
+exports.sumRouteCosts = (costsList) => costsList.reduce((sum, costs) => ({
+  fuel: sum.fuel + costs.fuel,
+  tolls: sum.tolls + costs.tolls,
+  parking: sum.parking + costs.parking,
+  total: sum.total + costs.total,
+  vehicle: costs.vehicle
+}), { fuel: 0, tolls: 0, parking: 0, total: 0, vehicle: undefined });
+
+/**
+ * Helper: Shared state for counting attractions near route alternatives across a trip.
+ * Starts from the attractions already on the itinerary (activities and wishlist).
+ * @returns {object} { pool: Map of placeId → place, searched: grid cells already searched, remaining: searches left }
+ */
+exports.createScenicSearch = (itinerary) => {
+  const pool = new Map();
+  const known = [
+    ...(itinerary.dayPlans || []).flatMap(day => day.activities || []),
+    ...(itinerary.unscheduledPlaces || [])
+  ];
+  known
+    .filter(place => place.placeId && toCoordinates(place))
+    .forEach(place => pool.set(place.placeId, toCoordinates(place)));
+
+  return { pool, searched: new Set(), remaining: MAX_SCENIC_SEARCHES };
+};
+
+/**
+ * Helper: Count attractions within NEAR_ROUTE_METERS of each route alternative.
+ * Every alternative is counted against the same pool: the itinerary's own attractions
+ * plus well-rated places found around the alternatives' midpoints (one search per
+ * grid cell, and no more than scenicSearch.remaining for the whole trip).
+ * @param {Array<object>} alternatives - Parsed routes with `overview.polyline`
+ * @param {object} scenicSearch - From createScenicSearch (updated in place)
+ * @returns {Promise<Array<number>>} Count per alternative
+ */
+exports.countAttractionsNearRoutes = async (alternatives, interests = [], scenicSearch = this.createScenicSearch({})) => {
+  const searchTypes = interestTaxonomy.getSearchTypes(interests);
+  const lines = alternatives.map(route => polyline.decode(route.overview?.polyline));
+  const { pool, searched } = scenicSearch;
+
+  try {
+    for (const points of lines) {
+      const midpoint = points[Math.floor((points.length - 1) / 2)];
+      if (!midpoint || scenicSearch.remaining <= 0) continue;
+
+      const cell = `${Math.round(midpoint.latitude / SCENIC_GRID_DEGREES)},${Math.round(midpoint.longitude / SCENIC_GRID_DEGREES)}`;
+      if (searched.has(cell)) continue;
+      searched.add(cell);
+      scenicSearch.remaining--;
+
+      const nearby = await googlePlacesService.searchNearby(midpoint, 5000, searchTypes);
+      nearby
+        .filter(place => place.rating >= 4 && toCoordinates(place))
+        .forEach(place => pool.set(place.id, toCoordinates(place)));
+    }
+  } catch (error) {
+    console.error('⚠️ Error finding attractions near route alternatives:', error.message);
+  }
+
+  return lines.map(points => [...pool.values()].filter(place =>
+    points.some(point => haversineDistance(point, place) <= NEAR_ROUTE_METERS)
+  ).length);
+};
+
+/**
+ * Helper: Find attractions along the route that fit the trip interests
  */
-exports.findAttractionsAlongRoute = async (segments, waypoints) => {
+exports.findAttractionsAlongRoute = async (segments, waypoints, interests = []) => {
   const attractions = [];
   const searchRadius = 5000; // 5km from route
+  const searchTypes = interestTaxonomy.getSearchTypes(interests);
 
   try {
     // Search around each waypoint
@@ -310,10 +434,10 @@ exports.findAttractionsAlongRoute = async (segments, waypoints) => {
       const nearby = await googlePlacesService.searchNearby(
         { latitude: waypoint.latitude, longitude: waypoint.longitude },
         searchRadius,
-        ['tourist_attraction', 'museum', 'park', 'natural_feature']
+        searchTypes
       );
 
-      nearby.slice(0, 5).forEach(place => {
+      interestTaxonomy.rankPlaces(nearby, interests).slice(0, 5).forEach(({ place }) => {
         attractions.push({
           placeId: place.id,
           name: place.displayName?.text || place.name,
@@ -343,6 +467,8 @@ exports.findAttractionsAlongRoute = async (segments, waypoints) => {
 
 /**
  * Helper: Estimate route costs
+ * Private modes are costed for a vehicle that seats the whole party;
+ * public transport fares are paid per traveller.
  */
 exports.estimateRouteCosts = (distanceMeters, preferences) => {
   const distanceKm = distanceMeters / 1000;
@@ -356,10 +482,13 @@ exports.estimateRouteCosts = (distanceMeters, preferences) => {
   };
 
   const transportationType = preferences?.transportation || 'mixed';
-  const fuelCost = distanceKm * costPerKm[transportationType];
+  const isPublic = transportationType === 'public';
+  const vehicle = getVehicle(preferences?.party);
+  const fuelCost = distanceKm * costPerKm[transportationType] *
+    (isPublic ? getPartySize(preferences?.party) : vehicle.fuelFactor);
 
-  // Estimate tolls (roughly 500 LKR per 100km)
-  const tolls = Math.floor(distanceKm / 100) * 500;
+  // Estimate tolls (roughly 500 LKR per 100km, more for larger vehicles)
+  const tolls = Math.round(Math.floor(distanceKm / 100) * 500 * (isPublic ? 1 : vehicle.tollFactor));
 
   // Parking costs (estimate 200 LKR per stop)
   const parking = 200;
@@ -368,6 +497,7 @@ exports.estimateRouteCosts = (distanceMeters, preferences) => {
     fuel: Math.round(fuelCost),
     tolls: tolls,
     parking: parking,
-    total: Math.round(fuelCost + tolls + parking)
+    total: Math.round(fuelCost + tolls + parking),
+    vehicle: isPublic ? 'public' : vehicle.type
   };
 };
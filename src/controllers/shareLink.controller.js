@@ -0,0 +1,87 @@
+const shareLinkService = require('../services/shareLink.service');
+const { sendError } = require('../utils/httpError');
+
+/**
+ * Create a read-only share link
+ * POST /:id/share-links
+ * Body: { expiresAt?, expiresInDays?, includeChecklists? }
+ */
+exports.createShareLink = async (req, res) => {
+  try {
+    const userId = req.user?.id || req.user?.userId;
+
+    console.log(`\n🔗 [SHARE] Create share link - Itinerary: ${req.params.id}`);
+
+    const link = await shareLinkService.createShareLink(req.itinerary, req.body, userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: {
+        ...link.toJSON(),
+        path: `/shared/${link.token}`
+      }
+    });
+  } catch (error) {
+    console.error('❌ [SHARE] Create Share Link Error:', error);
+    sendError(res, error, 'Failed to create share link');
+  }
+};
+
+/**
+ * List share links of an itinerary
+ * GET /:id/share-links
+ */
+exports.getShareLinks = async (req, res) => {
+  try {
+    const links = await shareLinkService.listShareLinks(req.params.id);
+
+    res.json({
+      success: true,
+      count: links.length,
+      data: links
+    });
+  } catch (error) {
+    console.error('❌ [SHARE] Get Share Links Error:', error);
+    sendError(res, error, 'Failed to get share links');
+  }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /:id/share-links/:linkId
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+
+    const link = await shareLinkService.revokeShareLink(id, linkId);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully',
+      data: link
+    });
+  } catch (error) {
+    console.error('❌ [SHARE] Revoke Share Link Error:', error);
+    sendError(res, error, 'Failed to revoke share link');
+  }
+};
+
+/**
+ * View a shared itinerary (no account needed)
+ * GET /shared/:token
+ */
+exports.getSharedItinerary = async (req, res) => {
+  try {
+    const itinerary = await shareLinkService.getSharedItinerary(req.params.token);
+
+    res.json({
+      success: true,
+      data: itinerary
+    });
+  } catch (error) {
+    console.error('❌ [SHARE] Get Shared Itinerary Error:', error.message);
+    sendError(res, error, 'Failed to get shared itinerary');
+  }
+};
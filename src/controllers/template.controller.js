@@ -0,0 +1,76 @@
+const templateService = require('../services/template.service');
+const { sendError } = require('../utils/httpError');
+const { setVersionHeader } = require('../utils/itineraryVersion');
+
+/**
+ * Browse public trip templates
+ * GET /templates?duration=&minDays=&maxDays=&region=&interests=&budget=&maxCost=&page=&limit=
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    console.log('\n📚 [TEMPLATES] Browse templates:', JSON.stringify(req.query));
+
+    const result = await templateService.listTemplates(req.query);
+
+    res.json({
+      success: true,
+      count: result.templates.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.templates
+    });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Get Templates Error:', error);
+    sendError(res, error, 'Failed to get templates');
+  }
+};
+
+/**
+ * Get a template's full day plans (sanitized)
+ * GET /templates/:templateId
+ */
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.templateId);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Get Template Error:', error);
+    sendError(res, error, 'Failed to get template');
+  }
+};
+
+/**
+ * Create a new draft itinerary from a template on the caller's dates
+ * POST /templates/:templateId/instantiate
+ * Body: { startDate, tripName? }
+ */
+exports.instantiateTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { startDate, tripName } = req.body;
+    const userId = req.user?.id || req.user?.userId;
+
+    console.log(`\n📚 [TEMPLATES] Instantiate template ${templateId} → start ${startDate}`);
+
+    const itinerary = await templateService.instantiateTemplate(templateId, {
+      userId,
+      startDate,
+      tripName
+    });
+
+    setVersionHeader(res, itinerary);
+    res.status(201).json({
+      success: true,
+      message: 'Itinerary created from template successfully',
+      data: itinerary
+    });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Instantiate Template Error:', error);
+    sendError(res, error, 'Failed to create itinerary from template');
+  }
+};
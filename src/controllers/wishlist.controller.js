@@ -0,0 +1,140 @@
+const wishlistService = require('../services/wishlist.service');
+const { sendError } = require('../utils/httpError');
+const { parseIfMatch, setVersionHeader } = require('../utils/itineraryVersion');
+
+/**
+ * Helper: Build the edit context passed to the wishlist service
+ */
+const editContext = (req) => ({
+  userId: req.user?.id || req.user?.userId,
+  expectedVersion: parseIfMatch(req)
+});
+
+/**
+ * List unscheduled (wishlist) places of an itinerary
+ * GET /:id/wishlist
+ */
+exports.getWishlist = async (req, res) => {
+  try {
+    const places = req.itinerary.unscheduledPlaces || [];
+
+    setVersionHeader(res, req.itinerary);
+    res.json({
+      success: true,
+      count: places.length,
+      data: places
+    });
+  } catch (error) {
+    console.error('❌ [WISHLIST] Get Wishlist Error:', error);
+    sendError(res, error, 'Failed to get wishlist');
+  }
+};
+
+/**
+ * Add a place to the wishlist by Google place ID
+ * POST /:id/wishlist
+ * Body: { placeId }
+ */
+exports.addPlace = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { placeId } = req.body;
+
+    console.log(`\n⭐ [WISHLIST] Add place ${placeId} - Itinerary: ${id}`);
+
+    const result = await wishlistService.addPlace(id, placeId, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.status(201).json({
+      success: true,
+      message: 'Place added to wishlist successfully',
+      data: result.place
+    });
+  } catch (error) {
+    console.error('❌ [WISHLIST] Add Place Error:', error);
+    sendError(res, error, 'Failed to add place to wishlist');
+  }
+};
+
+/**
+ * Remove a place from the wishlist
+ * DELETE /:id/wishlist/:itemId
+ */
+exports.removePlace = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const result = await wishlistService.removePlace(id, itemId, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Place removed from wishlist successfully',
+      data: result.place
+    });
+  } catch (error) {
+    console.error('❌ [WISHLIST] Remove Place Error:', error);
+    sendError(res, error, 'Failed to remove place from wishlist');
+  }
+};
+
+/**
+ * Schedule a wishlist place onto a day
+ * POST /:id/wishlist/:itemId/schedule
+ * Body: { dayNumber, position? }
+ */
+exports.schedulePlace = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const { dayNumber, position } = req.body;
+
+    console.log(`\n📌 [WISHLIST] Schedule ${itemId} on day ${dayNumber} - Itinerary: ${id}`);
+
+    if (dayNumber === undefined || dayNumber === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'dayNumber is required'
+      });
+    }
+
+    const result = await wishlistService.schedulePlace(id, itemId, dayNumber, position, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Place scheduled successfully',
+      data: {
+        place: result.place,
+        day: result.day
+      }
+    });
+  } catch (error) {
+    console.error('❌ [WISHLIST] Schedule Place Error:', error);
+    sendError(res, error, 'Failed to schedule place');
+  }
+};
+
+/**
+ * Move a place from a day back to the wishlist
+ * POST /:id/days/:dayNumber/places/:itemId/unschedule
+ */
+exports.unschedulePlace = async (req, res) => {
+  try {
+    const { id, dayNumber, itemId } = req.params;
+
+    const result = await wishlistService.unschedulePlace(id, dayNumber, itemId, editContext(req));
+
+    setVersionHeader(res, result.itinerary);
+    res.json({
+      success: true,
+      message: 'Place moved to wishlist successfully',
+      data: {
+        place: result.place,
+        day: result.day
+      }
+    });
+  } catch (error) {
+    console.error('❌ [WISHLIST] Unschedule Place Error:', error);
+    sendError(res, error, 'Failed to move place to wishlist');
+  }
+};
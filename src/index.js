@@ -13,7 +13,7 @@ connectDB();
 
 // Middleware
 app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
+app.use(cors({ exposedHeaders: ['ETag'] })); // Enable CORS (expose ETag for If-Match edits)
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
@@ -38,6 +38,7 @@ app.get('/health', (req, res) => {
 const itineraryRoutes = require('./routes/itinerary.routes');
 const routeRoutes = require('./routes/route.routes');
 const myTripsRoutes = require('./routes/myTrips.routes');
+const generationJobService = require('./services/generationJob.service');
 
 // API Routes (without /api prefix since API Gateway handles that)
 // Gateway forwards: /api/itinerary/create → /create
@@ -68,6 +69,9 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Itinerary Service running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
+
+  // Background itinerary generation (jobs are stored in MongoDB)
+  generationJobService.startWorker();
 });
 
 module.exports = app;
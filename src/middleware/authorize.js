@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const Route = require('../models/Route');
+
+// Higher level includes every permission of the lower ones
+const ROLE_LEVELS = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+/**
+ * Helper: Resolve the caller's role on an itinerary and enforce the required role.
+ * Callers without any role get 404 so that other users' trips are not revealed;
+ * callers with a role that is too low get 403.
+ */
+const resolveItineraryAccess = async (req, res, next, itineraryId, requiredRole, notFoundMessage = 'Itinerary not found') => {
+  const userId = req.user?.id || req.user?.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'User authentication required'
+    });
+  }
+
+  const itinerary = mongoose.Types.ObjectId.isValid(itineraryId)
+    ? await Itinerary.findById(itineraryId)
+    : null;
+  const role = itinerary ? itinerary.getUserRole(userId) : null;
+
+  if (!role) {
+    console.log(`❌ [ITINERARY-AUTHZ] User ${userId} has no access to itinerary ${itineraryId}`);
+    return res.status(404).json({
+      success: false,
+      message: notFoundMessage
+    });
+  }
+
+  if (ROLE_LEVELS[role] < ROLE_LEVELS[requiredRole]) {
+    console.log(`❌ [ITINERARY-AUTHZ] User ${userId} is ${role}, ${requiredRole} required on itinerary ${itineraryId}`);
+    return res.status(403).json({
+      success: false,
+      message: `This action requires ${requiredRole} access to the itinerary`
+    });
+  }
+
+  req.itinerary = itinerary;
+  req.itineraryRole = role;
+  next();
+};
+
+/**
+ * Require a minimum role on the itinerary identified by a route parameter.
+ * Must run after authenticateToken. Sets req.itinerary and req.itineraryRole.
+ * @param {string} requiredRole - 'viewer', 'editor' or 'owner'
+ * @param {string} paramName - Route parameter holding the itinerary ID
+ */
+const authorizeItinerary = (requiredRole, paramName = 'id') => async (req, res, next) => {
+  try {
+    await resolveItineraryAccess(req, res, next, req.params[paramName], requiredRole);
+  } catch (error) {
+    console.error('❌ [ITINERARY-AUTHZ] Authorization Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authorize request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Require a minimum role on the itinerary a route belongs to.
+ * Must run after authenticateToken. Sets req.itinerary and req.itineraryRole.
+ * @param {string} requiredRole - 'viewer', 'editor' or 'owner'
+ * @param {string} paramName - Route parameter holding the route ID
+ */
+const authorizeRoute = (requiredRole, paramName = 'routeId') => async (req, res, next) => {
+  try {
+    const routeId = req.params[paramName];
+    const route = mongoose.Types.ObjectId.isValid(routeId)
+      ? await Route.findById(routeId).select('itineraryId')
+      : null;
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    await resolveItineraryAccess(req, res, next, route.itineraryId.toString(), requiredRole, 'Route not found');
+  } catch (error) {
+    console.error('❌ [ITINERARY-AUTHZ] Authorization Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authorize request',
+      error: error.message
+    });
+  }
+};
+
+module.exports = { authorizeItinerary, authorizeRoute, ROLE_LEVELS };
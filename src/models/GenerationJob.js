@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const JOB_RETENTION_SECONDS = 7 * 24 * 60 * 60; // finished jobs are removed after a week
+
+const generationJobSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Validated generation input (same shape as generateItinerary data)
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  progress: {
+    currentDay: { type: Number, default: 0 }, // day being generated
+    totalDays: { type: Number, default: 0 },
+    message: String
+  },
+  warnings: [String],
+  itineraryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Itinerary'
+  },
+  error: String,
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  heartbeatAt: Date, // refreshed while running; stale jobs are re-queued
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+generationJobSchema.index({ status: 1, createdAt: 1 });
+generationJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+// Virtual for progress percentage
+generationJobSchema.virtual('percentComplete').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.progress?.totalDays) return 0;
+  const completedDays = Math.max(0, this.progress.currentDay - 1);
+  return Math.round((completedDays / this.progress.totalDays) * 100);
+});
+
+generationJobSchema.set('toJSON', { virtuals: true });
+generationJobSchema.set('toObject', { virtuals: true });
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+
+module.exports = GenerationJob;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const ItineraryRevision = require('./ItineraryRevision');
+
+const MAX_EDIT_LOG_ENTRIES = 50;
 
 const placeSchema = new mongoose.Schema({
   placeId: {
@@ -17,9 +20,26 @@ const placeSchema = new mongoose.Schema({
   types: [String],
   rating: Number,
   photos: [String],
-  description: String
+  description: String,
+  locked: { type: Boolean, default: false } // kept when the day is regenerated
+});
+
+// Places kept on the trip without a day (e.g. from days removed by a date change)
+const unscheduledPlaceSchema = placeSchema.clone();
+unscheduledPlaceSchema.add({
+  fromDay: Number, // day the place was removed from, if any
+  addedAt: { type: Date, default: Date.now }
 });
 
+// Why the generator picked an activity, accommodation or meal
+const provenanceSchema = new mongoose.Schema({
+  interest: String, // trip interest the place matched (none for unmatched places)
+  kind: String, // taxonomy kind or lodging/meal type
+  rating: Number,
+  distanceFromBase: Number, // meters from the day's base (where the day ends)
+  rules: [String] // rules applied, e.g. 'min-rating-4', 'dietary:vegan'
+}, { _id: false });
+
 const dayPlanSchema = new mongoose.Schema({
   dayNumber: {
     type: Number,
@@ -33,24 +53,63 @@ const dayPlanSchema = new mongoose.Schema({
   activities: [{
     placeId: String,
     placeName: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
     activity: String,
     duration: Number, // in minutes
     estimatedCost: Number,
     startTime: String,
-    endTime: String
+    endTime: String,
+    travelTime: Number, // minutes of travel from the previous stop
+    locked: { type: Boolean, default: false },
+    provenance: provenanceSchema
   }],
   accommodation: {
+    placeId: String, // Google place ID (missing for estimates)
     name: String,
     address: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    rating: Number,
+    priceLevel: String, // Places API price level, e.g. PRICE_LEVEL_MODERATE
     checkIn: String,
     checkOut: String,
-    estimatedCost: Number
+    estimatedCost: Number,
+    provenance: provenanceSchema,
+    // Other nearby lodging of the same type, best first
+    alternates: [{
+      _id: false,
+      placeId: String,
+      name: String,
+      address: String,
+      location: {
+        latitude: Number,
+        longitude: Number
+      },
+      rating: Number,
+      priceLevel: String,
+      estimatedCost: Number,
+      provenance: provenanceSchema
+    }]
   },
   meals: [{
     type: { type: String, enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
-    restaurant: String,
+    restaurant: String, // restaurant name
+    placeId: String, // Google place ID of the restaurant (missing for placeholders)
+    address: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    rating: Number,
     estimatedCost: Number,
-    time: String
+    time: String,
+    locked: { type: Boolean, default: false },
+    provenance: provenanceSchema
   }],
   checklists: [{
     id: String,
@@ -61,9 +120,48 @@ const dayPlanSchema = new mongoose.Schema({
       completed: { type: Boolean, default: false }
     }]
   }],
+  drivingMinutes: Number, // estimated transfer driving for the day
+  isRestDay: { type: Boolean, default: false },
+  // Set when the day ends part-way along a transfer too long to drive in one day
+  overnightStop: {
+    from: String,
+    to: String
+  },
   notes: String
 });
 
+const collaboratorSchema = new mongoose.Schema({
+  userId: String, // set when the invite is accepted (or up front if known)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  invitedBy: String,
+  invitedAt: { type: Date, default: Date.now },
+  acceptedAt: Date
+});
+
+// Emails never leave the service in a plain JSON response (an itinerary, a populated
+// route, a 409 body...). Views that know the caller add them back for the owner
+// with collaboratorService.getVisibleCollaborators, which reads toObject().
+collaboratorSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.email;
+    return ret;
+  }
+});
+
 const itinerarySchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -124,9 +222,35 @@ const itinerarySchema = new mongoose.Schema({
       type: String,
       enum: ['public', 'private', 'rental', 'mixed'],
       default: 'mixed'
+    },
+    budgetAmount: Number, // numeric budget in LKR (optional)
+    budgetPeriod: {
+      type: String,
+      enum: ['total', 'daily'],
+      default: 'total'
+    },
+    excludedPlaceIds: [String], // Google place IDs the generator must not suggest
+    dietary: [{
+      type: String,
+      enum: ['vegetarian', 'vegan', 'halal', 'seafood_free']
+    }],
+    restDays: { type: Boolean, default: false }, // add activity-free days on long trips
+    // Who is travelling; meal and entrance costs are for the whole party
+    party: {
+      adults: { type: Number, default: 1, min: 0 },
+      seniors: { type: Number, default: 0, min: 0 },
+      children: [{
+        _id: false,
+        age: { type: Number, required: true, min: 0, max: 17 }
+      }],
+      accessibilityNeeds: [{
+        type: String,
+        enum: ['wheelchair', 'limited_mobility', 'visual', 'hearing']
+      }]
     }
   },
   dayPlans: [dayPlanSchema],
+  unscheduledPlaces: [unscheduledPlaceSchema],
   selectedRoute: {
     type: String,
     enum: ['recommended', 'shortest', 'scenic'],
@@ -139,6 +263,26 @@ const itinerarySchema = new mongoose.Schema({
     transportation: { type: Number, default: 0 },
     total: { type: Number, default: 0 }
   },
+  generationSeed: String, // regenerating with this seed and the same inputs gives the same plan
+  // Result of fitting a generated trip to preferences.budgetAmount
+  budgetCheck: {
+    limit: Number,
+    estimatedTotal: Number,
+    withinBudget: Boolean,
+    shortfall: Number,
+    tiers: {
+      accommodation: String,
+      food: String,
+      activities: String
+    },
+    adjustments: [String],
+    suggestions: [{
+      _id: false,
+      cut: String, // transportation, accommodation or duration
+      suggestion: String,
+      saving: Number
+    }]
+  },
   status: {
     type: String,
     enum: ['draft', 'planned', 'active', 'completed', 'cancelled'],
@@ -148,6 +292,27 @@ const itinerarySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Itinerary this one was cloned from (clone or template instantiation)
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Itinerary'
+  },
+  // Incremented on every change to the trip content (see ItineraryRevision)
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Co-travellers who can view or edit this itinerary
+  collaborators: [collaboratorSchema],
+  // Who made the latest edits (most recent last, capped)
+  lastModifiedBy: String,
+  editLog: [{
+    _id: false,
+    userId: String,
+    role: String,
+    action: String,
+    at: { type: Date, default: Date.now }
+  }],
   // Store booking IDs for services booked through this itinerary
   bookingIds: {
     accommodations: [String], // Array of accommodation booking IDs
@@ -174,9 +339,11 @@ itinerarySchema.methods.calculateCompletionPercentage = function() {
   totalSteps += 1;
   if (this.dayPlans && this.dayPlans.length > 0) completedSteps++;
 
-  // Step 3: Places added to day plans
+  // Step 3: Places added, to day plans or to the wishlist (collecting places before
+  // picking their days is progress; a wishlist never holds the trip back)
   totalSteps += 1;
-  const hasPlaces = this.dayPlans?.some(day => day.places && day.places.length > 0);
+  const hasPlaces = this.dayPlans?.some(day => day.places && day.places.length > 0) ||
+    this.unscheduledPlaces?.length > 0;
   if (hasPlaces) completedSteps++;
 
   // Step 4: Route selected
@@ -188,6 +355,92 @@ itinerarySchema.methods.calculateCompletionPercentage = function() {
   return percentage;
 };
 
+// Method to resolve a user's role on this itinerary ('owner', 'editor', 'viewer' or null)
+itinerarySchema.methods.getUserRole = function(userId) {
+  if (!userId) return null;
+  if (this.userId === String(userId)) return 'owner';
+
+  const collaborator = this.collaborators?.find(
+    c => c.status === 'accepted' && c.userId === String(userId)
+  );
+  return collaborator ? collaborator.role : null;
+};
+
+// Method to record which member made an edit (call before save)
+itinerarySchema.methods.recordEdit = function(userId, action) {
+  if (!userId) return;
+
+  this.lastModifiedBy = String(userId);
+  this.$locals.edit = { userId: String(userId), action };
+  this.editLog.push({
+    userId: String(userId),
+    role: this.getUserRole(userId),
+    action,
+    at: new Date()
+  });
+
+  // Keep only the most recent entries
+  if (this.editLog.length > MAX_EDIT_LOG_ENTRIES) {
+    this.editLog = this.editLog.slice(-MAX_EDIT_LOG_ENTRIES);
+  }
+};
+
+// Query filter for itineraries a user owns or has accepted an invite to
+itinerarySchema.statics.accessibleBy = function(userId) {
+  return {
+    $or: [
+      { userId: String(userId) },
+      { collaborators: { $elemMatch: { userId: String(userId), status: 'accepted' } } }
+    ]
+  };
+};
+
+// Bump the revision number whenever trip content changes. The save only matches
+// the revision that was loaded, so two concurrent edits can't both claim the next
+// number (the loser gets a DocumentNotFoundError; see saveWithVersionCheck).
+itinerarySchema.pre('save', function(next) {
+  const contentChanged = this.isNew ||
+    ItineraryRevision.TRACKED_FIELDS.some(field => this.isModified(field));
+
+  if (contentChanged) {
+    if (!this.isNew) {
+      // Itineraries stored before revisions existed have no revision field yet
+      this.$where = { ...this.$where, revision: this.revision || { $in: [0, null] } };
+    }
+    this.revision = (this.revision || 0) + 1;
+    this.$locals.recordRevision = true;
+    this.$locals.wasNew = this.isNew;
+  }
+  next();
+});
+
+// Store a snapshot of the saved content as a new revision
+itinerarySchema.post('save', async function(doc) {
+  const { recordRevision, wasNew, restoredFrom } = doc.$locals;
+  const edit = doc.$locals.edit || {};
+  doc.$where = null;
+  doc.$locals.recordRevision = false;
+  doc.$locals.edit = null;
+  doc.$locals.restoredFrom = undefined;
+
+  if (!recordRevision) return;
+
+  try {
+    await ItineraryRevision.recordFor(doc, {
+      authorId: edit.userId || doc.userId,
+      action: edit.action || (wasNew ? 'create' : 'update'),
+      restoredFrom
+    });
+  } catch (error) {
+    // A duplicate revision means two writers got the same number: never hide that
+    if (error.code === 11000) {
+      throw error;
+    }
+    // The edit itself is saved; a missing snapshot should not fail the request
+    console.error(`⚠️ Failed to record revision ${doc.revision} of itinerary ${doc._id}:`, error.message);
+  }
+});
+
 // Virtual field to get trip duration in days
 itinerarySchema.virtual('tripDuration').get(function() {
   if (!this.startDate || !this.endDate) return 0;
@@ -214,6 +467,9 @@ itinerarySchema.set('toObject', { virtuals: true });
 itinerarySchema.index({ userId: 1, createdAt: -1 });
 itinerarySchema.index({ status: 1 });
 itinerarySchema.index({ startDate: 1 });
+itinerarySchema.index({ 'collaborators.userId': 1 });
+itinerarySchema.index({ 'collaborators.email': 1 });
+itinerarySchema.index({ isPublic: 1, updatedAt: -1 });
 
 const Itinerary = mongoose.model('Itinerary', itinerarySchema);
 
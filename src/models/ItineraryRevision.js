@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Itinerary fields captured in every revision snapshot (and restored from it)
+const TRACKED_FIELDS = [
+  'tripName',
+  'startDate',
+  'endDate',
+  'startLocation',
+  'endLocation',
+  'destinations',
+  'preferences',
+  'dayPlans',
+  'unscheduledPlaces',
+  'selectedRoute',
+  'totalEstimatedCost',
+  'status'
+];
+
+const itineraryRevisionSchema = new mongoose.Schema({
+  itineraryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Itinerary',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  authorId: String,
+  action: String, // e.g. 'create', 'itinerary.update', 'places.move', 'revision.restore'
+  restoredFrom: Number, // revision number this one was restored from
+  // Small summary so revision lists don't need to load snapshots
+  summary: {
+    dayCount: Number,
+    placeCount: Number,
+    totalCost: Number
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+itineraryRevisionSchema.index({ itineraryId: 1, revision: -1 }, { unique: true });
+
+// Static to build a snapshot of the tracked fields of an itinerary
+itineraryRevisionSchema.statics.buildSnapshot = function(itinerary) {
+  const data = itinerary.toObject({ virtuals: false, depopulate: true });
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      snapshot[field] = data[field];
+    }
+  });
+  return snapshot;
+};
+
+// Static to store the current state of an itinerary as a revision
+itineraryRevisionSchema.statics.recordFor = function(itinerary, { authorId, action, restoredFrom } = {}) {
+  const snapshot = this.buildSnapshot(itinerary);
+  const dayPlans = snapshot.dayPlans || [];
+
+  return this.create({
+    itineraryId: itinerary._id,
+    revision: itinerary.revision,
+    authorId,
+    action,
+    restoredFrom,
+    summary: {
+      dayCount: dayPlans.length,
+      placeCount: dayPlans.reduce((sum, day) => sum + (day.places?.length || 0), 0),
+      totalCost: snapshot.totalEstimatedCost?.total || 0
+    },
+    snapshot
+  });
+};
+
+const ItineraryRevision = mongoose.model('ItineraryRevision', itineraryRevisionSchema);
+
+ItineraryRevision.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = ItineraryRevision;
@@ -8,12 +8,14 @@ const waypointSchema = new mongoose.Schema({
   placeId: String,
   name: String,
   order: { type: Number, required: true },
+  dayNumber: Number,
   arrivalTime: String,
   departureTime: String,
   duration: Number // minutes spent at this waypoint
 });
 
 const routeSegmentSchema = new mongoose.Schema({
+  dayNumber: Number, // day this stretch is driven on
   startPoint: {
     latitude: Number,
     longitude: Number,
@@ -42,6 +44,30 @@ const routeSegmentSchema = new mongoose.Schema({
   }]
 });
 
+// One day's drive: from last night's stay through the day's places to tonight's stay
+const dayLegSchema = new mongoose.Schema({
+  dayNumber: { type: Number, required: true },
+  startPoint: {
+    latitude: Number,
+    longitude: Number,
+    name: String
+  },
+  endPoint: {
+    latitude: Number,
+    longitude: Number,
+    name: String
+  },
+  distance: Number, // in meters
+  duration: Number, // in seconds
+  polyline: String, // encoded polyline for the day
+  estimatedCosts: {
+    fuel: Number,
+    tolls: Number,
+    parking: Number,
+    total: Number
+  }
+}, { _id: false });
+
 const routeSchema = new mongoose.Schema({
   itineraryId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -56,7 +82,7 @@ const routeSchema = new mongoose.Schema({
   },
   totalDistance: {
     type: Number,
-    required: true // in meters
+    required: true // in meters (whole trip)
   },
   totalDuration: {
     type: Number,
@@ -64,6 +90,7 @@ const routeSchema = new mongoose.Schema({
   },
   waypoints: [waypointSchema],
   segments: [routeSegmentSchema],
+  dayLegs: [dayLegSchema],
   overview: {
     bounds: {
       northeast: { latitude: Number, longitude: Number },
@@ -88,7 +115,8 @@ const routeSchema = new mongoose.Schema({
     fuel: Number,
     tolls: Number,
     parking: Number,
-    total: Number
+    total: Number,
+    vehicle: String // car, van, minibus or coach sized for the party, or public
   },
   score: {
     type: Number,
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const shareLinkSchema = new mongoose.Schema({
+  itineraryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Itinerary',
+    required: true,
+    index: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: String,
+  includeChecklists: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: Date, // no expiry when unset
+  revokedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: Date
+}, {
+  timestamps: true
+});
+
+// Virtual for link state
+shareLinkSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static to generate an unguessable URL-safe token
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+shareLinkSchema.set('toJSON', { virtuals: true });
+shareLinkSchema.set('toObject', { virtuals: true });
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
@@ -1,20 +1,79 @@
 const express = require('express');
 const router = express.Router();
 const itineraryController = require('../controllers/itinerary.controller');
+const dayPlanController = require('../controllers/dayPlan.controller');
+const collaboratorController = require('../controllers/collaborator.controller');
+const revisionController = require('../controllers/revision.controller');
+const wishlistController = require('../controllers/wishlist.controller');
+const templateController = require('../controllers/template.controller');
+const shareLinkController = require('../controllers/shareLink.controller');
+const generationJobController = require('../controllers/generationJob.controller');
 const { authenticateToken } = require('../middleware/auth');
+const { authorizeItinerary } = require('../middleware/authorize');
 
 // Public routes (no auth required)
 router.get('/places/search', itineraryController.searchPlaces);
 router.get('/places/autocomplete', itineraryController.getAutocompleteSuggestions);
 router.get('/places/:placeId', itineraryController.getPlaceDetails);
 
+// Trip templates (public itineraries; browsing needs no auth)
+router.get('/templates', templateController.getTemplates);
+router.get('/templates/:templateId', templateController.getTemplate);
+router.post('/templates/:templateId/instantiate', authenticateToken, templateController.instantiateTemplate);
+
+// Read-only shared view (share token, no auth)
+router.get('/shared/:token', shareLinkController.getSharedItinerary);
+
 // Protected routes (auth required)
 router.post('/create', authenticateToken, itineraryController.createItinerary);
 router.post('/generate', authenticateToken, itineraryController.generateItinerary);
+router.get('/jobs/:jobId', authenticateToken, generationJobController.getJob);
+router.post('/jobs/:jobId/cancel', authenticateToken, generationJobController.cancelJob);
 router.post('/store-completed-trip', authenticateToken, itineraryController.storeCompletedTrip);
 router.get('/user', authenticateToken, itineraryController.getUserItineraries);
-router.get('/:id', authenticateToken, itineraryController.getItinerary);
-router.put('/:id', authenticateToken, itineraryController.updateItinerary);
-router.delete('/:id', authenticateToken, itineraryController.deleteItinerary);
+router.get('/invitations', authenticateToken, collaboratorController.getInvitations);
+router.get('/:id', authenticateToken, authorizeItinerary('viewer'), itineraryController.getItinerary);
+router.put('/:id', authenticateToken, authorizeItinerary('editor'), itineraryController.updateItinerary);
+router.delete('/:id', authenticateToken, authorizeItinerary('owner'), itineraryController.deleteItinerary);
+router.post('/:id/clone', authenticateToken, authorizeItinerary('viewer'), itineraryController.cloneItinerary);
+
+// Trip dates (re-flows day plans)
+router.put('/:id/dates', authenticateToken, authorizeItinerary('editor'), dayPlanController.changeDates);
+
+// Unscheduled (wishlist) places
+router.get('/:id/wishlist', authenticateToken, authorizeItinerary('viewer'), wishlistController.getWishlist);
+router.post('/:id/wishlist', authenticateToken, authorizeItinerary('editor'), wishlistController.addPlace);
+router.delete('/:id/wishlist/:itemId', authenticateToken, authorizeItinerary('editor'), wishlistController.removePlace);
+router.post('/:id/wishlist/:itemId/schedule', authenticateToken, authorizeItinerary('editor'), wishlistController.schedulePlace);
+router.post('/:id/days/:dayNumber/places/:itemId/unschedule', authenticateToken, authorizeItinerary('editor'), wishlistController.unschedulePlace);
+
+// Regenerate a single day (locked items are kept)
+router.post('/:id/days/:dayNumber/regenerate', authenticateToken, authorizeItinerary('editor'), dayPlanController.regenerateDay);
+
+// Day plan editing (collection: places, activities or meals)
+router.post('/:id/days/:dayNumber/:collection', authenticateToken, authorizeItinerary('editor'), dayPlanController.addItem);
+router.put('/:id/days/:dayNumber/:collection/order', authenticateToken, authorizeItinerary('editor'), dayPlanController.reorderItems);
+router.put('/:id/days/:dayNumber/:collection/:itemId', authenticateToken, authorizeItinerary('editor'), dayPlanController.updateItem);
+router.delete('/:id/days/:dayNumber/:collection/:itemId', authenticateToken, authorizeItinerary('editor'), dayPlanController.removeItem);
+router.post('/:id/days/:dayNumber/:collection/:itemId/move', authenticateToken, authorizeItinerary('editor'), dayPlanController.moveItem);
+
+// Collaborators (invites are accepted by the invitee, who has no role yet)
+router.get('/:id/collaborators', authenticateToken, authorizeItinerary('viewer'), collaboratorController.getCollaborators);
+router.post('/:id/collaborators', authenticateToken, authorizeItinerary('owner'), collaboratorController.inviteCollaborator);
+router.patch('/:id/collaborators/:collaboratorId', authenticateToken, authorizeItinerary('owner'), collaboratorController.updateCollaborator);
+router.delete('/:id/collaborators/:collaboratorId', authenticateToken, authorizeItinerary('viewer'), collaboratorController.removeCollaborator);
+router.post('/:id/invitations/accept', authenticateToken, collaboratorController.acceptInvitation);
+router.post('/:id/invitations/decline', authenticateToken, collaboratorController.declineInvitation);
+
+// Share links (owner only)
+router.get('/:id/share-links', authenticateToken, authorizeItinerary('owner'), shareLinkController.getShareLinks);
+router.post('/:id/share-links', authenticateToken, authorizeItinerary('owner'), shareLinkController.createShareLink);
+router.delete('/:id/share-links/:linkId', authenticateToken, authorizeItinerary('owner'), shareLinkController.revokeShareLink);
+
+// Revision history
+router.get('/:id/revisions', authenticateToken, authorizeItinerary('viewer'), revisionController.getRevisions);
+router.get('/:id/revisions/diff', authenticateToken, authorizeItinerary('viewer'), revisionController.diffRevisions);
+router.get('/:id/revisions/:revision', authenticateToken, authorizeItinerary('viewer'), revisionController.getRevision);
+router.post('/:id/revisions/:revision/restore', authenticateToken, authorizeItinerary('editor'), revisionController.restoreRevision);
 
 module.exports = router;
@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const myTripsController = require('../controllers/myTrips.controller');
 const { authenticateToken } = require('../middleware/auth');
+const { authorizeItinerary } = require('../middleware/authorize');
 
 // All my trips endpoints require authentication
 router.get('/summary', authenticateToken, myTripsController.getMyTrips);
-router.get('/trip/:id', authenticateToken, myTripsController.getTripDetails);
+router.get('/trip/:id', authenticateToken, authorizeItinerary('viewer'), myTripsController.getTripDetails);
 router.get('/:category', authenticateToken, myTripsController.getTripsByCategory);
 
 // Update checklist item status
-router.patch('/trip/:id/checklist/:itemId', authenticateToken, myTripsController.toggleChecklistItem);
+router.patch('/trip/:id/checklist/:itemId', authenticateToken, authorizeItinerary('editor'), myTripsController.toggleChecklistItem);
 
 module.exports = router;
@@ -2,11 +2,12 @@ const express = require('express');
 const router = express.Router();
 const routeController = require('../controllers/route.controller');
 const { authenticateToken } = require('../middleware/auth');
+const { authorizeItinerary, authorizeRoute } = require('../middleware/authorize');
 
-// All route endpoints require authentication
-router.post('/calculate/:itineraryId', authenticateToken, routeController.calculateRoutes);
-router.get('/itinerary/:itineraryId', authenticateToken, routeController.getItineraryRoutes);
-router.get('/itinerary/:itineraryId/compare', authenticateToken, routeController.compareRoutes);
-router.get('/:routeId', authenticateToken, routeController.getRoute);
+// All route endpoints require authentication and access to the itinerary
+router.post('/calculate/:itineraryId', authenticateToken, authorizeItinerary('editor', 'itineraryId'), routeController.calculateRoutes);
+router.get('/itinerary/:itineraryId', authenticateToken, authorizeItinerary('viewer', 'itineraryId'), routeController.getItineraryRoutes);
+router.get('/itinerary/:itineraryId/compare', authenticateToken, authorizeItinerary('viewer', 'itineraryId'), routeController.compareRoutes);
+router.get('/:routeId', authenticateToken, authorizeRoute('viewer'), routeController.getRoute);
 
 module.exports = router;
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const { createHttpError } = require('../utils/httpError');
+
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+class CollaboratorService {
+  /**
+   * Collaborators as the caller may see them: only the owner sees everyone's email,
+   * other collaborators see their own
+   * @param {object} itinerary - Itinerary document
+   * @param {string} userId - Caller
+   * @param {string} role - Caller's role ('owner', 'editor' or 'viewer')
+   * @returns {Array<object>} Plain collaborator entries
+   */
+  getVisibleCollaborators(itinerary, userId, role) {
+    return (itinerary.collaborators || []).map(collaborator => {
+      const { email, ...entry } = collaborator.toObject ? collaborator.toObject() : collaborator;
+      return role === 'owner' || entry.userId === String(userId) ? { ...entry, email } : entry;
+    });
+  }
+
+  /**
+   * Invite a co-traveller to an itinerary
+   * @param {object} itinerary - Itinerary document (already access-checked)
+   * @param {object} invite - { email, userId, role }
+   * @param {string} invitedBy - ID of the inviting owner
+   * @returns {Promise<object>} The pending collaborator entry
+   */
+  async inviteCollaborator(itinerary, invite, invitedBy) {
+    const email = invite.email?.trim().toLowerCase();
+    const userId = invite.userId ? String(invite.userId) : undefined;
+    const role = invite.role || 'viewer';
+
+    if (!email && !userId) {
+      throw createHttpError(400, 'Collaborator email or userId is required');
+    }
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw createHttpError(400, `Invalid role. Must be: ${COLLABORATOR_ROLES.join(', ')}`);
+    }
+
+    if (userId && userId === itinerary.userId) {
+      throw createHttpError(400, 'The owner cannot be invited to their own itinerary');
+    }
+
+    const existing = itinerary.collaborators.find(c =>
+      (email && c.email === email) || (userId && c.userId === userId)
+    );
+    if (existing) {
+      throw createHttpError(409, 'This person has already been invited to the itinerary');
+    }
+
+    itinerary.collaborators.push({
+      email,
+      userId,
+      role,
+      status: 'pending',
+      invitedBy: String(invitedBy),
+      invitedAt: new Date()
+    });
+    itinerary.recordEdit(invitedBy, 'collaborator.invite');
+    await itinerary.save();
+
+    const collaborator = itinerary.collaborators[itinerary.collaborators.length - 1];
+    console.log(`✅ [COLLABORATORS] Invited ${email || userId} as ${role} to itinerary ${itinerary._id}`);
+
+    return collaborator;
+  }
+
+  /**
+   * Change a collaborator's role
+   */
+  async updateCollaboratorRole(itinerary, collaboratorId, role, updatedBy) {
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      throw createHttpError(400, `Invalid role. Must be: ${COLLABORATOR_ROLES.join(', ')}`);
+    }
+
+    const collaborator = this.findCollaborator(itinerary, collaboratorId);
+    collaborator.role = role;
+    itinerary.recordEdit(updatedBy, 'collaborator.role');
+    await itinerary.save();
+
+    console.log(`✅ [COLLABORATORS] Collaborator ${collaboratorId} is now ${role}`);
+    return collaborator;
+  }
+
+  /**
+   * Revoke an invite or remove a collaborator.
+   * The owner can remove anyone; a collaborator can only remove themselves.
+   */
+  async removeCollaborator(itinerary, collaboratorId, requesterId) {
+    const collaborator = this.findCollaborator(itinerary, collaboratorId);
+    const isOwner = itinerary.getUserRole(requesterId) === 'owner';
+    const isSelf = collaborator.userId && collaborator.userId === String(requesterId);
+
+    if (!isOwner && !isSelf) {
+      throw createHttpError(403, 'Only the owner can remove other collaborators');
+    }
+
+    // Record the edit while the requester still has a role on the itinerary
+    itinerary.recordEdit(requesterId, isSelf ? 'collaborator.leave' : 'collaborator.revoke');
+    itinerary.collaborators.pull(collaborator._id);
+    await itinerary.save();
+
+    console.log(`✅ [COLLABORATORS] Removed collaborator ${collaboratorId} from itinerary ${itinerary._id}`);
+    return collaborator;
+  }
+
+  /**
+   * Accept a pending invite addressed to the caller (by user ID or email)
+   * @param {string} itineraryId - Itinerary ID
+   * @param {object} user - Authenticated user from the JWT ({ id/userId, email })
+   */
+  async acceptInvitation(itineraryId, user) {
+    const { itinerary, invite, userId } = await this.findPendingInvite(itineraryId, user);
+
+    invite.userId = userId;
+    invite.status = 'accepted';
+    invite.acceptedAt = new Date();
+    itinerary.recordEdit(userId, 'collaborator.accept');
+    await itinerary.save();
+
+    console.log(`✅ [COLLABORATORS] User ${userId} joined itinerary ${itinerary._id} as ${invite.role}`);
+    return { itinerary, collaborator: invite };
+  }
+
+  /**
+   * Decline a pending invite addressed to the caller
+   */
+  async declineInvitation(itineraryId, user) {
+    const { itinerary, invite, userId } = await this.findPendingInvite(itineraryId, user);
+
+    itinerary.collaborators.pull(invite._id);
+    await itinerary.save();
+
+    console.log(`✅ [COLLABORATORS] User ${userId} declined invite to itinerary ${itinerary._id}`);
+    return invite;
+  }
+
+  /**
+   * List itineraries with a pending invite for the caller
+   */
+  async getPendingInvitations(user) {
+    const userId = String(user?.id || user?.userId);
+    const email = user?.email?.toLowerCase();
+
+    const matchers = [{ userId }];
+    if (email) matchers.push({ email });
+
+    const itineraries = await Itinerary.find({
+      collaborators: { $elemMatch: { status: 'pending', $or: matchers } }
+    }).select('tripName startDate endDate startLocation endLocation userId collaborators');
+
+    return itineraries.map(itinerary => {
+      const invite = itinerary.collaborators.find(c =>
+        c.status === 'pending' && (c.userId === userId || (email && c.email === email))
+      );
+      return {
+        itineraryId: itinerary._id,
+        tripName: itinerary.tripName,
+        startDate: itinerary.startDate,
+        endDate: itinerary.endDate,
+        startLocation: itinerary.startLocation?.name,
+        endLocation: itinerary.endLocation?.name,
+        ownerId: itinerary.userId,
+        role: invite.role,
+        invitedBy: invite.invitedBy,
+        invitedAt: invite.invitedAt
+      };
+    });
+  }
+
+  /**
+   * Helper: Find a collaborator entry by its _id or throw 404
+   */
+  findCollaborator(itinerary, collaboratorId) {
+    const collaborator = itinerary.collaborators.id(collaboratorId);
+
+    if (!collaborator) {
+      throw createHttpError(404, 'Collaborator not found');
+    }
+
+    return collaborator;
+  }
+
+  /**
+   * Helper: Load an itinerary and the caller's pending invite, or throw 404
+   */
+  async findPendingInvite(itineraryId, user) {
+    const userId = String(user?.id || user?.userId);
+    const email = user?.email?.toLowerCase();
+
+    const itinerary = mongoose.Types.ObjectId.isValid(itineraryId)
+      ? await Itinerary.findById(itineraryId)
+      : null;
+    const invite = itinerary?.collaborators.find(c =>
+      c.status === 'pending' && (c.userId === userId || (email && c.email === email))
+    );
+
+    if (!invite) {
+      throw createHttpError(404, 'Invitation not found');
+    }
+
+    return { itinerary, invite, userId };
+  }
+}
+
+module.exports = new CollaboratorService();
@@ -0,0 +1,347 @@
+const Itinerary = require('../models/Itinerary');
+const { createHttpError } = require('../utils/httpError');
+const { assertVersion, saveWithVersionCheck } = require('../utils/itineraryVersion');
+
+// Day plan arrays that can be edited item by item
+const EDITABLE_COLLECTIONS = ['places', 'activities', 'meals'];
+
+class DayPlanService {
+  /**
+   * Add an item to a day's places, activities or meals
+   * @param {string} itineraryId - Itinerary ID
+   * @param {number} dayNumber - Day to edit
+   * @param {string} collection - 'places', 'activities' or 'meals'
+   * @param {object} item - Item data (validated against dayPlanSchema)
+   * @param {number} position - Optional index to insert at (appends by default)
+   * @param {object} context - Edit context: { userId, expectedVersion } (version from If-Match)
+   * @returns {Promise<object>} Updated itinerary and the added item
+   */
+  async addItem(itineraryId, dayNumber, collection, item, position, context = {}) {
+    this.assertCollection(collection);
+    const itinerary = await this.loadItinerary(itineraryId, context);
+    const day = this.findDay(itinerary, dayNumber);
+
+    const { _id, ...data } = item || {};
+    const items = day[collection];
+    const index = this.clampPosition(position, items.length);
+    items.splice(index, 0, data);
+    const added = items[index];
+
+    await this.saveItinerary(itinerary, context, `${collection}.add`);
+    console.log(`✅ [DAY-PLAN] Added ${collection} item ${added._id} to day ${dayNumber}`);
+
+    return { itinerary, day, item: added };
+  }
+
+  /**
+   * Update fields of a single item in a day
+   */
+  async updateItem(itineraryId, dayNumber, collection, itemId, updates, context = {}) {
+    this.assertCollection(collection);
+    const itinerary = await this.loadItinerary(itineraryId, context);
+    const day = this.findDay(itinerary, dayNumber);
+    const item = this.findItem(day, collection, itemId);
+
+    const { _id, ...data } = updates || {};
+    item.set(data);
+
+    await this.saveItinerary(itinerary, context, `${collection}.update`);
+    console.log(`✅ [DAY-PLAN] Updated ${collection} item ${itemId} on day ${dayNumber}`);
+
+    return { itinerary, day, item };
+  }
+
+  /**
+   * Remove a single item from a day
+   */
+  async removeItem(itineraryId, dayNumber, collection, itemId, context = {}) {
+    this.assertCollection(collection);
+    const itinerary = await this.loadItinerary(itineraryId, context);
+    const day = this.findDay(itinerary, dayNumber);
+    const item = this.findItem(day, collection, itemId);
+
+    day[collection].pull(item._id);
+
+    await this.saveItinerary(itinerary, context, `${collection}.remove`);
+    console.log(`✅ [DAY-PLAN] Removed ${collection} item ${itemId} from day ${dayNumber}`);
+
+    return { itinerary, day, item };
+  }
+
+  /**
+   * Reorder the items of a day
+   * @param {Array<string>} orderedIds - Every item ID of the collection, in the new order
+   */
+  async reorderItems(itineraryId, dayNumber, collection, orderedIds, context = {}) {
+    this.assertCollection(collection);
+    const itinerary = await this.loadItinerary(itineraryId, context);
+    const day = this.findDay(itinerary, dayNumber);
+    const items = day[collection];
+
+    const currentIds = items.map(item => item._id.toString());
+    const requestedIds = Array.isArray(orderedIds) ? orderedIds.map(String) : [];
+    const isPermutation = requestedIds.length === currentIds.length &&
+      new Set(requestedIds).size === requestedIds.length &&
+      requestedIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      throw createHttpError(400, `Order must list every ${collection} item ID of day ${dayNumber} exactly once`);
+    }
+
+    const reordered = requestedIds.map(id => items.id(id).toObject());
+    day[collection] = reordered;
+
+    await this.saveItinerary(itinerary, context, `${collection}.reorder`);
+    console.log(`✅ [DAY-PLAN] Reordered ${reordered.length} ${collection} items on day ${dayNumber}`);
+
+    return { itinerary, day };
+  }
+
+  /**
+   * Move an item from one day to another in a single save
+   * @param {number} targetDayNumber - Day to move the item to
+   * @param {number} position - Optional index in the target day (appends by default)
+   */
+  async moveItem(itineraryId, dayNumber, collection, itemId, targetDayNumber, position, context = {}) {
+    this.assertCollection(collection);
+    const itinerary = await this.loadItinerary(itineraryId, context);
+    const sourceDay = this.findDay(itinerary, dayNumber);
+    const targetDay = this.findDay(itinerary, targetDayNumber);
+    const item = this.findItem(sourceDay, collection, itemId);
+
+    const data = item.toObject();
+    sourceDay[collection].pull(item._id);
+
+    const targetItems = targetDay[collection];
+    const index = this.clampPosition(position, targetItems.length);
+    targetItems.splice(index, 0, data);
+
+    await this.saveItinerary(itinerary, context, `${collection}.move`);
+    console.log(`✅ [DAY-PLAN] Moved ${collection} item ${itemId} from day ${dayNumber} to day ${targetDayNumber}`);
+
+    return { itinerary, sourceDay, targetDay, item: targetItems[index] };
+  }
+
+  /**
+   * Change the trip's date range and re-flow the day plans
+   * @param {string} itineraryId - Itinerary ID
+   * @param {object} dates - { startDate, endDate } (either may be omitted to keep it)
+   * @param {object} context - Edit context: { userId, expectedVersion }
+   * @returns {Promise<object>} Updated itinerary and a summary of what moved
+   */
+  async changeDates(itineraryId, dates, context = {}) {
+    const itinerary = await this.loadItinerary(itineraryId, context);
+
+    const changes = this.reflowDates(
+      itinerary,
+      dates.startDate || itinerary.startDate,
+      dates.endDate || itinerary.endDate
+    );
+
+    await this.saveItinerary(itinerary, context, 'dates.change');
+    console.log(`✅ [DAY-PLAN] Changed dates of itinerary ${itineraryId}:`, JSON.stringify(changes));
+
+    return { itinerary, changes };
+  }
+
+  /**
+   * Apply a new date range to an itinerary in memory (no save).
+   * - Every kept day moves to startDate + (dayNumber - 1)
+   * - A longer range gets empty days at the end
+   * - A shorter range removes the last days; their places go to unscheduledPlaces and
+   *   everything else on them (activities, meals, checklists, notes, accommodation) is
+   *   listed in the summary as dropped
+   * - Destination arrival/departure dates shift with the start date
+   * @returns {object} Summary of what moved
+   */
+  reflowDates(itinerary, startDate, endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw createHttpError(400, 'startDate and endDate must be valid dates');
+    }
+
+    if (end < start) {
+      throw createHttpError(400, 'endDate must be on or after startDate');
+    }
+
+    const oneDay = 1000 * 60 * 60 * 24;
+    const durationDays = Math.ceil((end - start) / oneDay) + 1;
+    const shiftedByDays = Math.round((start - new Date(itinerary.startDate)) / oneDay);
+
+    const dateForDay = (dayNumber) => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + dayNumber - 1);
+      return date;
+    };
+
+    const sortedDays = [...itinerary.dayPlans].sort((a, b) => a.dayNumber - b.dayNumber);
+    const keptDays = sortedDays.filter(day => day.dayNumber <= durationDays);
+    const removedDays = sortedDays.filter(day => day.dayNumber > durationDays);
+
+    const changes = {
+      shiftedByDays,
+      durationDays,
+      addedDays: [],
+      removedDays: removedDays.map(day => day.dayNumber),
+      movedToUnscheduled: [],
+      droppedItems: { activities: 0, meals: 0, checklists: 0, notes: 0, accommodation: 0 },
+      droppedNotes: [], // [{ dayNumber, notes }]
+      droppedAccommodation: [] // [{ dayNumber, placeId, name }]
+    };
+
+    // Places from removed days are kept in the holding area
+    removedDays.forEach(day => {
+      day.places.forEach(place => {
+        itinerary.unscheduledPlaces.push({
+          ...place.toObject(),
+          fromDay: day.dayNumber,
+          addedAt: new Date()
+        });
+        changes.movedToUnscheduled.push({
+          placeId: place.placeId,
+          name: place.name,
+          fromDay: day.dayNumber
+        });
+      });
+      changes.droppedItems.activities += day.activities?.length || 0;
+      changes.droppedItems.meals += day.meals?.length || 0;
+      changes.droppedItems.checklists += day.checklists?.length || 0;
+
+      if (day.notes?.trim()) {
+        changes.droppedItems.notes++;
+        changes.droppedNotes.push({ dayNumber: day.dayNumber, notes: day.notes });
+      }
+      if (day.accommodation?.name) {
+        changes.droppedItems.accommodation++;
+        changes.droppedAccommodation.push({
+          dayNumber: day.dayNumber,
+          placeId: day.accommodation.placeId,
+          name: day.accommodation.name
+        });
+      }
+    });
+
+    keptDays.forEach(day => {
+      day.date = dateForDay(day.dayNumber);
+    });
+
+    // Fill any missing day numbers (longer trip, or gaps in old data)
+    const existingNumbers = new Set(keptDays.map(day => day.dayNumber));
+    const newDays = [];
+    for (let dayNumber = 1; dayNumber <= durationDays; dayNumber++) {
+      if (!existingNumbers.has(dayNumber)) {
+        newDays.push({
+          dayNumber,
+          date: dateForDay(dayNumber),
+          places: [],
+          activities: [],
+          meals: [],
+          notes: ''
+        });
+        changes.addedDays.push(dayNumber);
+      }
+    }
+
+    itinerary.dayPlans = [...keptDays.map(day => day.toObject()), ...newDays]
+      .sort((a, b) => a.dayNumber - b.dayNumber);
+
+    if (shiftedByDays !== 0) {
+      itinerary.destinations.forEach(destination => {
+        if (destination.arrivalDate) {
+          const arrival = new Date(destination.arrivalDate);
+          arrival.setDate(arrival.getDate() + shiftedByDays);
+          destination.arrivalDate = arrival;
+        }
+        if (destination.departureDate) {
+          const departure = new Date(destination.departureDate);
+          departure.setDate(departure.getDate() + shiftedByDays);
+          destination.departureDate = departure;
+        }
+      });
+    }
+
+    itinerary.startDate = start;
+    itinerary.endDate = end;
+
+    return changes;
+  }
+
+  /**
+   * Helper: Ensure the collection name is editable
+   */
+  assertCollection(collection) {
+    if (!EDITABLE_COLLECTIONS.includes(collection)) {
+      throw createHttpError(400, `Invalid collection. Must be: ${EDITABLE_COLLECTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Helper: Load an itinerary or throw 404, and check the client's version (409 if stale)
+   */
+  async loadItinerary(itineraryId, context = {}) {
+    const itinerary = await Itinerary.findById(itineraryId);
+
+    if (!itinerary) {
+      throw createHttpError(404, 'Itinerary not found');
+    }
+
+    assertVersion(itinerary, context.expectedVersion);
+    return itinerary;
+  }
+
+  /**
+   * Helper: Find a day plan by its dayNumber or throw 404
+   */
+  findDay(itinerary, dayNumber) {
+    const day = itinerary.dayPlans.find(d => d.dayNumber === Number(dayNumber));
+
+    if (!day) {
+      throw createHttpError(404, `Day ${dayNumber} not found`);
+    }
+
+    return day;
+  }
+
+  /**
+   * Helper: Find an item in a day's collection by its _id or throw 404
+   */
+  findItem(day, collection, itemId) {
+    const item = day[collection].id(itemId);
+
+    if (!item) {
+      throw createHttpError(404, `Item ${itemId} not found in ${collection} of day ${day.dayNumber}`);
+    }
+
+    return item;
+  }
+
+  /**
+   * Helper: Clamp an optional insert position to the array bounds
+   */
+  clampPosition(position, length) {
+    const index = parseInt(position, 10);
+    if (Number.isNaN(index)) return length;
+    return Math.min(Math.max(index, 0), length);
+  }
+
+  /**
+   * Helper: Record who made the edit and save the itinerary,
+   * turning schema validation failures into 400s
+   */
+  async saveItinerary(itinerary, context, action) {
+    itinerary.recordEdit(context.userId, action);
+
+    try {
+      await saveWithVersionCheck(itinerary);
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        throw createHttpError(400, error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new DayPlanService();
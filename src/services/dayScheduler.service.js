@@ -0,0 +1,276 @@
+const googlePlacesService = require('./googlePlaces.service');
+const googleDirectionsService = require('./googleDirections.service');
+const { toCoordinates, haversineDistance } = require('../utils/geo');
+
+const DEFAULT_DAY_START = 9 * 60; // 09:00
+const DEFAULT_DAY_END = 19 * 60; // 19:00
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_STEP = 5; // start times are rounded up to 5 minutes
+const MAX_CANDIDATES = 9; // origin + 9 places keeps the distance matrix under 100 elements
+
+// How long each meal keeps the timeline busy (minutes)
+const MEAL_DURATIONS = {
+  breakfast: 45,
+  lunch: 60,
+  dinner: 90,
+  snack: 20
+};
+
+// Fallback when the Distance Matrix API is unavailable
+const FALLBACK_SPEED_KMH = 35;
+const ROAD_DETOUR_FACTOR = 1.3;
+
+/**
+ * Helper: "HH:MM" → minutes since midnight
+ */
+const parseTime = (time) => {
+  if (!time) return null;
+  const [hours, minutes = 0] = String(time).split(':').map(Number);
+  return Number.isNaN(hours) ? null : hours * 60 + minutes;
+};
+
+/**
+ * Helper: minutes since midnight → "HH:MM"
+ */
+const formatTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = Math.round(minutes % 60);
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+class DaySchedulerService {
+  /**
+   * Place candidate activities on a day's timeline.
+   * Each activity gets its full duration, must fit inside the place's opening hours,
+   * starts after the drive from the previous stop (plus a buffer between stops) and never
+   * overlaps a meal. Driving between stops is kept within the day's limit.
+   * Candidates are tried in the given (preference) order; those that can't fit are skipped.
+   * @param {Array<object>} allCandidates - [{ place, duration, estimatedCost }] (place from Places API)
+   * @param {object} options - { date, origin, meals, busy: [{ startTime, endTime }] already taken (e.g. locked activities),
+   *   bufferMinutes between stops, maxDrivingMinutes for the day's activities }
+   * @returns {Promise<object>} { activities, skipped: [{ placeId, placeName, reason }] }
+   */
+  async scheduleDay(allCandidates, { date, origin, meals = [], busy = [], bufferMinutes = 0, maxDrivingMinutes = Infinity }) {
+    if (allCandidates.length === 0) {
+      return { activities: [], skipped: [] };
+    }
+
+    const candidates = allCandidates.slice(0, MAX_CANDIDATES);
+
+    const { dayStart, dayEnd, blocked: mealWindows } = this.getDayWindows(meals);
+    const blocked = [
+      ...mealWindows,
+      ...busy
+        .map(slot => ({ start: parseTime(slot.startTime), end: parseTime(slot.endTime) }))
+        .filter(slot => slot.start !== null && slot.end !== null)
+    ];
+    const openingWindows = await this.getOpeningWindows(candidates, date);
+    const travelMinutes = await this.getTravelMinutes(origin, candidates.map(c => c.place));
+
+    const activities = [];
+    const remaining = candidates.map((candidate, i) => i);
+    let cursor = dayStart;
+    let previous = 0; // row in travelMinutes: 0 is the origin, i + 1 is candidate i
+    let driven = 0;
+
+    while (remaining.length > 0) {
+      let chosen = null;
+
+      for (const i of remaining) {
+        const travel = travelMinutes[previous][i];
+        if (driven + travel > maxDrivingMinutes) continue;
+
+        const buffer = activities.length > 0 ? bufferMinutes : 0;
+        const start = this.findSlot(cursor + travel + buffer, candidates[i].duration, openingWindows[i], blocked, dayEnd);
+        if (start !== null) {
+          chosen = { i, start, travel };
+          break;
+        }
+      }
+
+      if (!chosen) break;
+
+      const { place, duration, estimatedCost } = candidates[chosen.i];
+      const name = place.displayName?.text || place.name;
+
+      activities.push({
+        placeId: place.id,
+        placeName: name,
+        location: place.location
+          ? { latitude: place.location.latitude, longitude: place.location.longitude }
+          : undefined,
+        activity: `Visit ${name}`,
+        duration,
+        estimatedCost,
+        startTime: formatTime(chosen.start),
+        endTime: formatTime(chosen.start + duration),
+        travelTime: Math.round(chosen.travel)
+      });
+
+      cursor = chosen.start + duration;
+      driven += chosen.travel;
+      previous = chosen.i + 1;
+      remaining.splice(remaining.indexOf(chosen.i), 1);
+    }
+
+    const skipped = [
+      ...remaining.map(i => ({
+        place: candidates[i].place,
+        reason: openingWindows[i] && openingWindows[i].length === 0
+          ? 'closed'
+          : driven + travelMinutes[previous][i] > maxDrivingMinutes ? 'over the daily driving limit' : 'no time left'
+      })),
+      ...allCandidates.slice(MAX_CANDIDATES).map(({ place }) => ({ place, reason: 'no time left' }))
+    ].map(({ place, reason }) => ({
+      placeId: place.id,
+      placeName: place.displayName?.text || place.name,
+      reason
+    }));
+
+    if (skipped.length > 0) {
+      console.log(`⏱️ Scheduled ${activities.length} activities, skipped ${skipped.length}: ${skipped.map(s => `${s.placeName} (${s.reason})`).join(', ')}`);
+    }
+
+    return { activities, skipped };
+  }
+
+  /**
+   * Helper: Day bounds and busy meal windows (minutes since midnight).
+   * The day starts after breakfast and ends when dinner begins.
+   */
+  getDayWindows(meals) {
+    const windows = meals
+      .map(meal => {
+        const start = parseTime(meal.time);
+        return start === null ? null : { type: meal.type, start, end: start + (MEAL_DURATIONS[meal.type] || 60) };
+      })
+      .filter(Boolean);
+
+    const breakfast = windows.find(w => w.type === 'breakfast');
+    const dinner = windows.find(w => w.type === 'dinner');
+
+    return {
+      dayStart: breakfast ? breakfast.end : DEFAULT_DAY_START,
+      dayEnd: dinner ? dinner.start : DEFAULT_DAY_END,
+      blocked: windows.filter(w => w.type !== 'breakfast' && w.type !== 'dinner')
+    };
+  }
+
+  /**
+   * Helper: Earliest start at or after `after` where the activity fits the opening hours,
+   * avoids every blocked window and ends by dayEnd. Returns null when it can't fit.
+   * @param {Array|null} openWindows - Opening windows for the day (null = unknown, assume open)
+   */
+  findSlot(after, duration, openWindows, blocked, dayEnd) {
+    const earliest = Math.ceil(after / TIME_STEP) * TIME_STEP;
+    const starts = [
+      earliest,
+      ...blocked.map(w => w.end),
+      ...(openWindows || []).map(w => w.start)
+    ]
+      .filter(t => t >= earliest)
+      .sort((a, b) => a - b);
+
+    for (const start of starts) {
+      const end = start + duration;
+      if (end > dayEnd) continue;
+      if (blocked.some(w => start < w.end && end > w.start)) continue;
+      if (openWindows && !openWindows.some(w => start >= w.start && end <= w.end)) continue;
+      return start;
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper: Opening windows of every candidate on the trip date
+   * (null when the provider has no hours, so the place is treated as open)
+   */
+  async getOpeningWindows(candidates, date) {
+    const weekday = new Date(date).getDay();
+
+    return await Promise.all(candidates.map(async ({ place }) => {
+      try {
+        const details = await googlePlacesService.getPlaceDetails(place.id);
+        return this.toOpeningWindows(details.currentOpeningHours || details.regularOpeningHours, weekday);
+      } catch (error) {
+        console.error(`⚠️ Opening hours unavailable for ${place.id}:`, error.message);
+        return null;
+      }
+    }));
+  }
+
+  /**
+   * Helper: Convert Places API opening hours periods to windows for one weekday
+   * @param {object} openingHours - { periods: [{ open: { day, hour, minute }, close }] }
+   * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+   * @returns {Array|null} [{ start, end }] in minutes, [] when closed, null when unknown
+   */
+  toOpeningWindows(openingHours, weekday) {
+    const periods = openingHours?.periods;
+    if (!periods || periods.length === 0) return null;
+
+    const toMinutes = (point) => (point.hour || 0) * 60 + (point.minute || 0);
+    const windows = [];
+
+    periods.forEach(({ open, close }) => {
+      if (!open) return;
+
+      // Open 24 hours
+      if (!close) {
+        windows.push({ start: 0, end: MINUTES_PER_DAY });
+        return;
+      }
+
+      if (open.day === weekday) {
+        const end = close.day === weekday ? toMinutes(close) : MINUTES_PER_DAY;
+        windows.push({ start: toMinutes(open), end });
+      } else if (close.day === weekday) {
+        // Opened the previous day, closes after midnight
+        windows.push({ start: 0, end: toMinutes(close) });
+      }
+    });
+
+    return windows;
+  }
+
+  /**
+   * Rough driving minutes between two points from the straight-line distance
+   * (used when no Distance Matrix result is available, and for planning transfers)
+   * @returns {number} Minutes (0 when either point has no coordinates)
+   */
+  estimateDrivingMinutes(from, to) {
+    const meters = haversineDistance(from, to) * ROAD_DETOUR_FACTOR;
+    return Number.isFinite(meters) ? (meters / 1000 / FALLBACK_SPEED_KMH) * 60 : 0;
+  }
+
+  /**
+   * Helper: Driving minutes from the origin and from each candidate to each candidate.
+   * Row 0 is the origin, row i + 1 is candidate i; columns are candidates.
+   */
+  async getTravelMinutes(origin, places) {
+    const originPoint = toCoordinates(origin);
+    const points = places.map(place => toCoordinates(place));
+    const rows = [originPoint, ...points];
+    const estimate = (from, to) => this.estimateDrivingMinutes(from, to);
+
+    try {
+      if (!originPoint || points.some(p => !p)) {
+        throw new Error('missing coordinates');
+      }
+
+      const matrix = await googleDirectionsService.calculateDistanceMatrix(rows, points);
+
+      return matrix.rows.map((row, r) => row.elements.map((element, c) => (
+        element.status === 'OK'
+          ? element.duration.value / 60
+          : estimate(rows[r], points[c])
+      )));
+    } catch (error) {
+      console.error('⚠️ Using straight-line travel estimates:', error.message);
+      return rows.map(from => points.map(to => estimate(from, to)));
+    }
+  }
+}
+
+module.exports = new DaySchedulerService();
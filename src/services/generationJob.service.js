@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const GenerationJob = require('../models/GenerationJob');
+const itineraryGeneratorService = require('./itineraryGenerator.service');
+const { createHttpError } = require('../utils/httpError');
+
+const POLL_INTERVAL_MS = 5000;
+const STALE_JOB_MS = 10 * 60 * 1000; // running jobs without a heartbeat for this long are re-queued
+const MAX_CONCURRENT_JOBS = 1;
+const MAX_ATTEMPTS = 3;
+const FAILED_MESSAGE = 'Itinerary generation failed. Please try again.';
+
+class GenerationJobService {
+  constructor() {
+    this.activeJobs = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Queue an itinerary generation
+   * @param {string} userId - Requesting user
+   * @param {object} request - Validated generateItinerary data
+   * @returns {Promise<object>} The queued job
+   */
+  async enqueue(userId, request) {
+    const job = await GenerationJob.create({
+      userId: String(userId),
+      request,
+      progress: { message: 'Waiting to start' }
+    });
+
+    console.log(`📥 [JOBS] Queued generation job ${job._id} for user ${userId}`);
+    setImmediate(() => this.processQueue());
+
+    return job;
+  }
+
+  /**
+   * Get a job owned by the user
+   */
+  async getJob(jobId, userId) {
+    const job = mongoose.Types.ObjectId.isValid(jobId)
+      ? await GenerationJob.findOne({ _id: jobId, userId: String(userId) }).select('-request')
+      : null;
+
+    if (!job) {
+      throw createHttpError(404, 'Generation job not found');
+    }
+
+    return job;
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately; running jobs stop before their next day.
+   */
+  async cancelJob(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      throw createHttpError(409, `Job is already ${job.status}`);
+    }
+
+    const update = job.status === 'queued'
+      ? { status: 'cancelled', cancelRequested: true, finishedAt: new Date(), 'progress.message': 'Cancelled' }
+      : { cancelRequested: true, 'progress.message': 'Cancelling' };
+
+    const updated = await GenerationJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: update },
+      { new: true, projection: { request: 0 } }
+    );
+
+    console.log(`🛑 [JOBS] Cancel requested for job ${jobId}`);
+
+    // The job changed state in between (e.g. just finished); report its current state
+    return updated || await this.getJob(jobId, userId);
+  }
+
+  /**
+   * Start polling MongoDB for queued jobs (also picks up jobs left by a restart)
+   */
+  startWorker() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`⚙️ [JOBS] Generation worker started (poll every ${POLL_INTERVAL_MS / 1000}s)`);
+  }
+
+  /**
+   * Claim and run queued jobs while there is capacity
+   */
+  async processQueue() {
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+      await this.requeueStaleJobs();
+
+      while (this.activeJobs < MAX_CONCURRENT_JOBS) {
+        const job = await GenerationJob.findOneAndUpdate(
+          { status: 'queued' },
+          {
+            $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date(), 'progress.message': 'Starting' },
+            $inc: { attempts: 1 }
+          },
+          { sort: { createdAt: 1 }, new: true }
+        );
+
+        if (!job) return;
+
+        this.activeJobs++;
+        this.runJob(job)
+          .catch(error => console.error(`❌ [JOBS] Job ${job._id} could not be updated:`, error))
+          .finally(() => {
+            this.activeJobs--;
+            setImmediate(() => this.processQueue());
+          });
+      }
+    } catch (error) {
+      console.error('❌ [JOBS] Queue Error:', error.message);
+    }
+  }
+
+  /**
+   * Helper: Put running jobs whose worker died back in the queue (or fail them after MAX_ATTEMPTS)
+   */
+  async requeueStaleJobs() {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+
+    await GenerationJob.updateMany(
+      { status: 'running', heartbeatAt: { $lt: staleBefore }, attempts: { $gte: MAX_ATTEMPTS } },
+      { $set: { status: 'failed', error: 'Generation stopped responding', finishedAt: new Date() } }
+    );
+    await GenerationJob.updateMany(
+      { status: 'running', heartbeatAt: { $lt: staleBefore } },
+      { $set: { status: 'queued', 'progress.message': 'Retrying' } }
+    );
+  }
+
+  /**
+   * Helper: Run one claimed job to completion. Every update is conditional on this run's
+   * claim (still running, same attempt), so a run whose job was re-queued as stale and
+   * claimed again stops instead of finishing the job twice.
+   */
+  async runJob(job) {
+    const warnings = [];
+    const claim = { _id: job._id, status: 'running', attempts: job.attempts };
+    console.log(`🏃 [JOBS] Running generation job ${job._id} (attempt ${job.attempts})`);
+
+    try {
+      const itinerary = await itineraryGeneratorService.generateItinerary(job.request, {
+        warnings,
+        onDayStart: async (dayNumber, totalDays) => {
+          const current = await GenerationJob.findOneAndUpdate(
+            claim,
+            {
+              $set: {
+                'progress.currentDay': dayNumber,
+                'progress.totalDays': totalDays,
+                'progress.message': `Generating day ${dayNumber} of ${totalDays}`,
+                heartbeatAt: new Date(),
+                warnings
+              }
+            },
+            { new: true, projection: { cancelRequested: 1 } }
+          );
+
+          // No match: the claim was lost (treated like a cancel, the new run carries on)
+          if (!current || current.cancelRequested) {
+            const error = new Error('Generation cancelled');
+            error.code = 'GENERATION_CANCELLED';
+            throw error;
+          }
+        }
+      });
+
+      const completed = await GenerationJob.updateOne(
+        claim,
+        {
+          $set: {
+            status: 'completed',
+            itineraryId: itinerary._id,
+            warnings,
+            'progress.currentDay': itinerary.dayPlans.length,
+            'progress.message': 'Completed',
+            finishedAt: new Date()
+          }
+        }
+      );
+      if (completed.matchedCount === 0) {
+        // Another run owns the job now; don't leave a second itinerary behind
+        await itineraryGeneratorService.deleteItinerary(itinerary._id, itinerary.userId);
+        console.log(`⚠️ [JOBS] Job ${job._id} attempt ${job.attempts} lost its claim; discarded itinerary ${itinerary._id}`);
+        return;
+      }
+      console.log(`✅ [JOBS] Job ${job._id} completed → itinerary ${itinerary._id}`);
+    } catch (error) {
+      const cancelled = error.code === 'GENERATION_CANCELLED';
+
+      await GenerationJob.updateOne(
+        claim,
+        {
+          $set: {
+            status: cancelled ? 'cancelled' : 'failed',
+            warnings,
+            'progress.message': cancelled ? 'Cancelled' : 'Failed',
+            // Only errors meant for the client (HTTP errors) keep their message; details stay in the log
+            ...(!cancelled && { error: error.status ? error.message : FAILED_MESSAGE }),
+            finishedAt: new Date()
+          }
+        }
+      );
+
+      if (cancelled) {
+        console.log(`🛑 [JOBS] Job ${job._id} cancelled`);
+      } else {
+        console.error(`❌ [JOBS] Job ${job._id} failed:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new GenerationJobService();
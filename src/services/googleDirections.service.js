@@ -1,4 +1,10 @@
 const axios = require('axios');
+const polyline = require('../utils/polyline');
+
+// Directions API limit per request: origin + destination + 23 intermediate waypoints
+const MAX_WAYPOINTS_PER_REQUEST = 25;
+// Chunk requests in flight at once for long waypoint lists
+const CHUNK_CONCURRENCY = 3;
 
 class GoogleDirectionsService {
   constructor() {
@@ -14,6 +20,56 @@ class GoogleDirectionsService {
    * @returns {Promise<object>} Route data
    */
   async calculateRoute(waypoints, mode = 'driving', optimize = false) {
+    if (waypoints.length > MAX_WAYPOINTS_PER_REQUEST) {
+      // Optimizing only reorders within a chunk; chunk ends stay fixed
+      const parts = await this.mapChunks(waypoints, chunk => this.calculateRoute(chunk, mode, optimize));
+      return this.stitchRoutes(parts);
+    }
+
+    const data = await this.requestRoutes(waypoints, mode, optimize);
+    return this.parseDirectionsResponse(data);
+  }
+
+  /**
+   * Helper: Split waypoints into chunks the Directions API accepts. Each chunk starts
+   * at the previous chunk's last waypoint, so the stitched route is continuous.
+   * @param {Array<object>} waypoints
+   * @returns {Array<Array<object>>}
+   */
+  chunkWaypoints(waypoints) {
+    const chunks = [];
+    for (let start = 0; start < waypoints.length - 1; start += MAX_WAYPOINTS_PER_REQUEST - 1) {
+      chunks.push(waypoints.slice(start, start + MAX_WAYPOINTS_PER_REQUEST));
+    }
+    return chunks;
+  }
+
+  /**
+   * Helper: Run `calculate` on each waypoint chunk, at most CHUNK_CONCURRENCY at a time
+   * @returns {Promise<Array>} Results in chunk order
+   */
+  async mapChunks(waypoints, calculate) {
+    const chunks = this.chunkWaypoints(waypoints);
+    console.log(`🧩 ${waypoints.length} waypoints split into ${chunks.length} requests`);
+
+    const results = new Array(chunks.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < chunks.length) {
+        const index = next++;
+        results[index] = await calculate(chunks[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Helper: Call the Directions API (with alternatives) and return the raw response
+   * @returns {Promise<object>} Directions API response data with one or more `routes`
+   */
+  async requestRoutes(waypoints, mode = 'driving', optimize = false) {
     try {
       if (waypoints.length < 2) {
         throw new Error('At least 2 waypoints required (origin and destination)');
@@ -53,7 +109,7 @@ class GoogleDirectionsService {
         throw new Error(`Directions API error: ${response.data.status} - ${response.data.error_message || ''}`);
       }
 
-      return this.parseDirectionsResponse(response.data);
+      return response.data;
     } catch (error) {
       console.error('❌ Google Directions Error:', error.response?.data || error.message);
       throw new Error(`Failed to calculate route: ${error.message}`);
@@ -61,39 +117,65 @@ class GoogleDirectionsService {
   }
 
   /**
-   * Calculate multiple route alternatives with different optimization strategies
+   * Pick the recommended, shortest and scenic routes from the alternatives of one
+   * Directions call (waypoints keep their order).
+   * - shortest: least distance
+   * - recommended: best balance of time and distance against the best alternative for each
+   * - scenic: most attractions near the polyline (ties go to the better balance)
+   * Google only returns alternatives for routes without intermediate waypoints, so
+   * with waypoints the three types are usually the same route.
    * @param {Array<object>} waypoints - Array of waypoints
+   * @param {object} options - { countAttractions(alternatives) → Promise<Array<number>> of attractions near each }
    * @returns {Promise<object>} Object containing recommended, shortest, and scenic routes
    */
-  async calculateAllRouteTypes(waypoints) {
+  async calculateAllRouteTypes(waypoints, options = {}) {
+    const { countAttractions } = options;
+
+    if (waypoints.length > MAX_WAYPOINTS_PER_REQUEST) {
+      return this.calculateChunkedRouteTypes(waypoints, options);
+    }
+
     try {
-      const results = {};
+      const data = await this.requestRoutes(waypoints, 'driving', false);
+      const alternatives = data.routes.map((route, index) => this.parseDirectionsResponse(data, index));
+      console.log(`🔀 ${alternatives.length} route alternative(s) returned`);
 
-      // 1. Shortest route (optimized for distance)
-      const shortestRoute = await this.calculateRoute(waypoints, 'driving', true);
-      results.shortest = {
-        type: 'shortest',
-        ...shortestRoute,
-        score: this.calculateShortestScore(shortestRoute)
-      };
+      const minDistance = Math.min(...alternatives.map(route => route.totalDistance));
+      const minDuration = Math.min(...alternatives.map(route => route.totalDuration));
+      const balance = (route) => route.totalDuration / (minDuration || 1) + route.totalDistance / (minDistance || 1);
 
-      // 2. Recommended route (balanced)
-      const recommendedRoute = await this.calculateRoute(waypoints, 'driving', false);
-      results.recommended = {
-        type: 'recommended',
-        ...recommendedRoute,
-        score: this.calculateRecommendedScore(recommendedRoute)
-      };
+      const shortest = alternatives.reduce((best, route) => (route.totalDistance < best.totalDistance ? route : best));
+      const byBalance = [...alternatives].sort((a, b) => balance(a) - balance(b));
+      const recommended = byBalance[0];
 
-      // 3. Scenic route (we'll get alternatives and pick the one with most potential attractions)
-      // For now, we'll use the recommended route as scenic and enhance it with nearby attractions
-      results.scenic = {
-        type: 'scenic',
-        ...recommendedRoute,
-        score: this.calculateScenicScore(recommendedRoute)
-      };
+      let scenic = recommended;
+      let attractionsNearby = null;
+      if (alternatives.length > 1 && countAttractions) {
+        const counts = await countAttractions(alternatives);
+        scenic = byBalance.reduce((best, route) => (
+          counts[alternatives.indexOf(route)] > counts[alternatives.indexOf(best)] ? route : best
+        ));
+        attractionsNearby = counts[alternatives.indexOf(scenic)];
+      }
 
-      return results;
+      return {
+        shortest: {
+          type: 'shortest',
+          ...shortest,
+          score: this.calculateShortestScore(shortest)
+        },
+        recommended: {
+          type: 'recommended',
+          ...recommended,
+          score: this.calculateRecommendedScore(recommended)
+        },
+        scenic: {
+          type: 'scenic',
+          ...scenic,
+          attractionsNearby,
+          score: this.calculateScenicScore(scenic, attractionsNearby)
+        }
+      };
     } catch (error) {
       console.error('❌ Calculate All Routes Error:', error);
       throw error;
@@ -101,12 +183,52 @@ class GoogleDirectionsService {
   }
 
   /**
-   * Parse Google Directions API response
+   * Helper: calculateAllRouteTypes for more waypoints than one request takes.
+   * Each chunk picks its own route types, which are then stitched per type.
    */
-  parseDirectionsResponse(data) {
-    const route = data.routes[0]; // Use first route
+  async calculateChunkedRouteTypes(waypoints, options = {}) {
+    const chunkResults = await this.mapChunks(waypoints, chunk => this.calculateAllRouteTypes(chunk, options));
+
+    const stitch = (type) => this.stitchRoutes(chunkResults.map(result => result[type]));
+    const shortest = stitch('shortest');
+    const recommended = stitch('recommended');
+    const scenic = stitch('scenic');
+
+    // Attractions only count as measured when every chunk measured them
+    const counts = chunkResults.map(result => result.scenic.attractionsNearby);
+    const attractionsNearby = counts.every(count => count !== null)
+      ? counts.reduce((sum, count) => sum + count, 0)
+      : null;
+
+    return {
+      shortest: {
+        type: 'shortest',
+        ...shortest,
+        score: this.calculateShortestScore(shortest)
+      },
+      recommended: {
+        type: 'recommended',
+        ...recommended,
+        score: this.calculateRecommendedScore(recommended)
+      },
+      scenic: {
+        type: 'scenic',
+        ...scenic,
+        attractionsNearby,
+        score: this.calculateScenicScore(scenic, attractionsNearby)
+      }
+    };
+  }
+
+  /**
+   * Parse one route of a Google Directions API response
+   * @param {object} data - Directions API response
+   * @param {number} routeIndex - Which alternative to parse (the first by default)
+   */
+  parseDirectionsResponse(data, routeIndex = 0) {
+    const route = data.routes[routeIndex];
     
-    console.log(`📊 Parsing route with ${route.legs.length} legs`);
+    console.log(`📊 Parsing route ${routeIndex + 1} with ${route.legs.length} legs`);
     route.legs.forEach((leg, idx) => {
       console.log(`   Leg ${idx + 1}: ${leg.start_address} → ${leg.end_address}`);
       console.log(`     Distance: ${(leg.distance.value / 1000).toFixed(1)}km, Duration: ${(leg.duration.value / 60).toFixed(0)}min`);
@@ -146,7 +268,10 @@ class GoogleDirectionsService {
       totalDuration: route.legs.reduce((sum, leg) => sum + leg.duration.value, 0),
       segments,
       overview: {
-        bounds: route.bounds,
+        bounds: {
+          northeast: { latitude: route.bounds.northeast.lat, longitude: route.bounds.northeast.lng },
+          southwest: { latitude: route.bounds.southwest.lat, longitude: route.bounds.southwest.lng }
+        },
         polyline: route.overview_polyline.points,
         summary: route.summary
       }
@@ -158,6 +283,41 @@ class GoogleDirectionsService {
     return result;
   }
 
+  /**
+   * Join consecutive parsed routes into one: segments in order, summed totals,
+   * combined bounds and a single overview polyline
+   * @param {Array<object>} parts - parseDirectionsResponse() results, in travel order
+   * @returns {object} Route data in the same shape
+   */
+  stitchRoutes(parts) {
+    const bounds = parts
+      .map(part => part.overview?.bounds)
+      .filter(b => b?.northeast && b?.southwest)
+      .reduce((combined, b) => (combined
+        ? {
+          northeast: {
+            latitude: Math.max(combined.northeast.latitude, b.northeast.latitude),
+            longitude: Math.max(combined.northeast.longitude, b.northeast.longitude)
+          },
+          southwest: {
+            latitude: Math.min(combined.southwest.latitude, b.southwest.latitude),
+            longitude: Math.min(combined.southwest.longitude, b.southwest.longitude)
+          }
+        }
+        : b), null);
+
+    return {
+      totalDistance: parts.reduce((sum, part) => sum + part.totalDistance, 0),
+      totalDuration: parts.reduce((sum, part) => sum + part.totalDuration, 0),
+      segments: parts.flatMap(part => part.segments),
+      overview: {
+        ...(bounds && { bounds }),
+        polyline: polyline.join(parts.map(part => part.overview?.polyline)),
+        summary: [...new Set(parts.map(part => part.overview?.summary).filter(Boolean))].join(', ')
+      }
+    };
+  }
+
   /**
    * Calculate score for shortest route (minimize distance)
    */
@@ -175,11 +335,16 @@ class GoogleDirectionsService {
   }
 
   /**
-   * Calculate score for scenic route (maximize attractions potential)
+   * Calculate score for scenic route (maximize attractions nearby)
+   * @param {number|null} attractionsNearby - Attractions counted near the route, if measured
    */
-  calculateScenicScore(route) {
-    // Base score - lower is better for scenic routes as we want longer, more interesting routes
-    const lengthBonus = Math.min(route.totalDistance / 10000, 100); // Bonus for longer routes
+  calculateScenicScore(route, attractionsNearby = null) {
+    if (attractionsNearby !== null) {
+      return attractionsNearby * 10;
+    }
+
+    // Not measured: bonus for longer routes, which pass more places
+    const lengthBonus = Math.min(route.totalDistance / 10000, 100);
     return lengthBonus;
   }
 
@@ -64,7 +64,7 @@ class GooglePlacesService {
           headers: {
             'Content-Type': 'application/json',
             'X-Goog-Api-Key': this.apiKey,
-            'X-Goog-FieldMask': 'id,displayName,formattedAddress,location,rating,types,photos,editorialSummary,currentOpeningHours,priceLevel,userRatingCount'
+            'X-Goog-FieldMask': 'id,displayName,formattedAddress,location,rating,types,photos,editorialSummary,currentOpeningHours,regularOpeningHours,priceLevel,userRatingCount'
           }
         }
       );
@@ -76,6 +76,27 @@ class GooglePlacesService {
     }
   }
 
+  /**
+   * Convert a Places API (v1) place into the itinerary place shape (placeSchema)
+   * @param {object} place - Place from searchPlaces, searchNearby or getPlaceDetails
+   * @returns {object} { placeId, name, location, address, types, rating, photos, description }
+   */
+  toItineraryPlace(place) {
+    return {
+      placeId: place.id,
+      name: place.displayName?.text || place.name,
+      location: {
+        latitude: place.location?.latitude,
+        longitude: place.location?.longitude
+      },
+      address: place.formattedAddress,
+      types: place.types || [],
+      rating: place.rating,
+      photos: (place.photos || []).map(photo => photo.name).filter(Boolean),
+      description: place.editorialSummary?.text
+    };
+  }
+
   /**
    * Search for nearby places
    * @param {object} location - { latitude, longitude }
@@ -111,7 +132,7 @@ class GooglePlacesService {
           headers: {
             'Content-Type': 'application/json',
             'X-Goog-Api-Key': this.apiKey,
-            'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.location,places.rating,places.types,places.photos'
+            'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.location,places.rating,places.types,places.photos,places.accessibilityOptions,places.priceLevel,places.servesVegetarianFood,places.servesBreakfast,places.servesLunch,places.servesDinner'
           }
         }
       );
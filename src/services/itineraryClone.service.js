@@ -0,0 +1,100 @@
+const Itinerary = require('../models/Itinerary');
+const { createHttpError } = require('../utils/httpError');
+const { toPublicPreferences } = require('../utils/itinerarySanitizer');
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Helper: Remove every `_id` key so mongoose assigns fresh subdocument IDs
+ */
+const stripIds = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripIds);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    const copy = {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (key !== '_id') {
+        copy[key] = stripIds(child);
+      }
+    });
+    return copy;
+  }
+  return value;
+};
+
+/**
+ * Helper: Move a date by a number of days (keeps undefined as undefined)
+ */
+const shiftDate = (date, days) => {
+  if (!date) return date;
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+};
+
+class ItineraryCloneService {
+  /**
+   * Deep-copy an itinerary into a new draft trip owned by userId, with shifted dates.
+   * Day plans, checklists (reset to incomplete), notes, preferences and wishlist
+   * are copied; bookings, routes, status, collaborators and history are not.
+   * A trip made from someone else's template gets only their public preferences and
+   * leaves out their wishlist, day notes and checklists.
+   * @param {object} source - Source itinerary document
+   * @param {object} options - { userId, startDate, tripName, action, fromTemplate }
+   * @returns {Promise<object>} The new itinerary
+   */
+  async cloneItinerary(source, { userId, startDate, tripName, action = 'itinerary.clone', fromTemplate = false }) {
+    const start = new Date(startDate);
+
+    if (!startDate || Number.isNaN(start.getTime())) {
+      throw createHttpError(400, 'A valid startDate is required');
+    }
+
+    const data = stripIds(source.toObject({ virtuals: false, depopulate: true }));
+    const offsetDays = Math.round((start - new Date(data.startDate)) / ONE_DAY);
+
+    const dayPlans = (data.dayPlans || [])
+      .sort((a, b) => a.dayNumber - b.dayNumber)
+      .map(day => ({
+        ...day,
+        ...(fromTemplate && { notes: undefined }),
+        date: shiftDate(start, day.dayNumber - 1),
+        checklists: fromTemplate ? [] : (day.checklists || []).map(checklist => ({
+          ...checklist,
+          items: (checklist.items || []).map(item => ({ ...item, completed: false }))
+        }))
+      }));
+
+    const destinations = (data.destinations || []).map(destination => ({
+      ...destination,
+      arrivalDate: shiftDate(destination.arrivalDate, offsetDays),
+      departureDate: shiftDate(destination.departureDate, offsetDays)
+    }));
+
+    const itinerary = new Itinerary({
+      userId: String(userId),
+      tripName: tripName || `${data.tripName} (copy)`,
+      startDate: start,
+      endDate: shiftDate(data.endDate, offsetDays),
+      startLocation: data.startLocation,
+      endLocation: data.endLocation,
+      destinations,
+      preferences: fromTemplate ? toPublicPreferences(data.preferences) : data.preferences,
+      dayPlans,
+      unscheduledPlaces: fromTemplate ? [] : data.unscheduledPlaces || [],
+      totalEstimatedCost: data.totalEstimatedCost,
+      status: 'draft',
+      isPublic: false,
+      clonedFrom: source._id
+    });
+
+    itinerary.recordEdit(userId, action);
+    await itinerary.save();
+
+    console.log(`✅ [CLONE] Cloned itinerary ${source._id} into ${itinerary._id} for user ${userId} (shifted ${offsetDays} days)`);
+    return itinerary;
+  }
+}
+
+module.exports = new ItineraryCloneService();
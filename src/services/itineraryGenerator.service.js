@@ -1,13 +1,90 @@
 const Itinerary = require('../models/Itinerary');
+const ItineraryRevision = require('../models/ItineraryRevision');
+const ShareLink = require('../models/ShareLink');
 const googlePlacesService = require('./googlePlaces.service');
+const dayPlanService = require('./dayPlan.service');
+const daySchedulerService = require('./dayScheduler.service');
+const { createHttpError } = require('../utils/httpError');
+const { assertVersion, saveWithVersionCheck } = require('../utils/itineraryVersion');
+const { toCoordinates, haversineDistance } = require('../utils/geo');
+const interestTaxonomy = require('../utils/interestTaxonomy');
+const {
+  getMealCostFactor,
+  getEntranceCostFactor,
+  hasYoungChildren,
+  needsStepFreeAccess,
+  preferAccessiblePlaces
+} = require('../utils/party');
+const { getDietarySearchTypes, checkDietary } = require('../utils/dietary');
+const { createSeed, validateSeed, createRandom, shuffle } = require('../utils/seededRandom');
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+const SAME_DAY_RADIUS_METERS = 40000; // destinations this close are visited as one stop
+const SAME_PLACE_RADIUS_METERS = 1000;
+const TRAVEL_STYLES = ['relaxed', 'moderate', 'packed'];
+// What each travelStyle allows a day: hours behind the wheel, slack between stops
+// and, when preferences.restDays is on, active days before a rest day
+const PACE_PROFILES = {
+  relaxed: { maxDrivingMinutes: 180, bufferMinutes: 30, restDayEvery: 4 },
+  moderate: { maxDrivingMinutes: 240, bufferMinutes: 15, restDayEvery: 6 },
+  packed: { maxDrivingMinutes: 360, bufferMinutes: 5, restDayEvery: null }
+};
+const MIN_SIGHTSEEING_DRIVING_MINUTES = 30; // left for activities even on long transfer days
+const MAX_SAME_KIND_PER_DAY = 2; // variety: at most this many activities of one kind a day
+
+// Cost tables (LKR) by budget tier
+const BUDGET_TIERS = ['budget', 'moderate', 'luxury'];
+const ACCOMMODATION_COSTS = {
+  budget: { hostel: 1500, guesthouse: 2500, hotel: 3500, resort: 5000 },
+  moderate: { hostel: 2500, guesthouse: 4000, hotel: 6000, resort: 10000 },
+  luxury: { hostel: 4000, guesthouse: 6000, hotel: 12000, resort: 25000 }
+};
+const MEAL_COSTS = {
+  budget: { breakfast: 500, lunch: 800, dinner: 1200 },
+  moderate: { breakfast: 1000, lunch: 1500, dinner: 2500 },
+  luxury: { breakfast: 2000, lunch: 3500, dinner: 6000 }
+};
+const ACTIVITY_BASE_COSTS = {
+  budget: 500,
+  moderate: 1500,
+  luxury: 5000
+};
+// Google place types for each accommodation preference
+const LODGING_TYPES = {
+  hostel: ['hostel'],
+  hotel: ['hotel', 'motel', 'inn'],
+  resort: ['resort_hotel'],
+  guesthouse: ['guest_house', 'bed_and_breakfast', 'cottage', 'farmstay']
+};
+const LODGING_SEARCH_RADIUS_METERS = 10000;
+const MAX_ACCOMMODATION_ALTERNATES = 3;
+// Places API price levels, cheapest first, and the level each budget tier aims for
+const PRICE_LEVELS = ['PRICE_LEVEL_FREE', 'PRICE_LEVEL_INEXPENSIVE', 'PRICE_LEVEL_MODERATE', 'PRICE_LEVEL_EXPENSIVE', 'PRICE_LEVEL_VERY_EXPENSIVE'];
+const TARGET_PRICE_LEVEL = { budget: 1, moderate: 2, luxury: 3 };
+// Google place types to eat at for each meal, and the Places field saying a place serves it
+const MEAL_PLACE_TYPES = {
+  breakfast: ['breakfast_restaurant', 'cafe', 'bakery', 'coffee_shop'],
+  lunch: ['restaurant', 'cafe'],
+  dinner: ['restaurant'],
+  snack: ['cafe', 'bakery', 'coffee_shop']
+};
+const MEAL_SERVES_FIELDS = { breakfast: 'servesBreakfast', lunch: 'servesLunch', dinner: 'servesDinner' };
+const MEAL_SEARCH_RADIUS_METERS = 2000;
+const TRANSPORTATION_DAILY_COSTS = {
+  public: 1000,
+  private: 5000,
+  rental: 3000,
+  mixed: 2000
+};
 
 class ItineraryGeneratorService {
   /**
    * Generate a complete itinerary with day-by-day plans
-   * @param {object} data - Itinerary generation data
+   * @param {object} data - Itinerary generation data (optional `seed` makes the run reproducible)
+   * @param {object} options - Progress hooks: { warnings, onDayStart(dayNumber, totalDays) }
    * @returns {Promise<object>} Generated itinerary
    */
-  async generateItinerary(data) {
+  async generateItinerary(data, options = {}) {
     const {
       userId,
       tripName,
@@ -18,6 +95,7 @@ class ItineraryGeneratorService {
       destinations,
       preferences
     } = data;
+    const seed = data.seed !== undefined && data.seed !== null ? String(data.seed) : createSeed();
 
     // Calculate trip duration
     const start = new Date(startDate);
@@ -31,9 +109,16 @@ class ItineraryGeneratorService {
       startLocation,
       endLocation,
       destinations,
-      preferences
+      preferences,
+      { ...options, random: createRandom(seed) }
     );
 
+    // Keep costs under a numeric budget when one is given
+    const budgetCheck = this.fitToBudget(dayPlans, preferences);
+    if (budgetCheck && !budgetCheck.withinBudget) {
+      options.warnings?.push(`Over budget by LKR ${budgetCheck.shortfall} after all adjustments`);
+    }
+
     // Calculate total estimated costs
     const totalEstimatedCost = this.calculateTotalCosts(dayPlans, preferences);
 
@@ -49,57 +134,108 @@ class ItineraryGeneratorService {
       preferences,
       dayPlans,
       totalEstimatedCost,
+      ...(budgetCheck && { budgetCheck }),
+      generationSeed: seed,
       status: 'draft'
     });
 
     await itinerary.save();
-    console.log(`✅ Generated itinerary ${itinerary._id} for user ${userId}`);
+    console.log(`✅ Generated itinerary ${itinerary._id} for user ${userId} (seed ${seed})`);
 
     return itinerary;
   }
 
   /**
    * Generate day-by-day plans
+   * @param {object} options - { warnings: collects non-fatal issues, onDayStart: awaited before each day (may throw to stop),
+   *   random: seeded random source for breaking ties }
    */
-  async generateDayPlans(startDate, durationDays, startLocation, endLocation, destinations, preferences) {
+  async generateDayPlans(startDate, durationDays, startLocation, endLocation, destinations, preferences, options = {}) {
     const dayPlans = [];
-    const allLocations = [startLocation, ...destinations, endLocation];
+    const { warnings = [], onDayStart, random } = options;
+
+    // Places already used on earlier days (and ones the traveller excluded) aren't suggested again
+    const usedPlaceIds = new Set(preferences.excludedPlaceIds || []);
+    const visitedRestaurantIds = new Set(); // preferred against, but may be repeated on long stays
+
+    const pace = PACE_PROFILES[preferences.travelStyle] || PACE_PROFILES.moderate;
+
+    // Determine which location(s) to visit on each day, breaking transfers the pace can't drive in a day
+    const { locationsByDay, overnightStops } = this.splitLongTransfers(
+      this.distributeLocationsAcrossDays(
+        startLocation,
+        destinations,
+        endLocation,
+        durationDays,
+        startDate
+      ),
+      pace.maxDrivingMinutes,
+      warnings
+    );
+    const restDays = preferences.restDays ? this.pickRestDays(locationsByDay, pace.restDayEvery) : new Set();
 
     for (let day = 0; day < durationDays; day++) {
+      if (onDayStart) {
+        await onDayStart(day + 1, durationDays);
+      }
+
       const currentDate = new Date(startDate);
       currentDate.setDate(currentDate.getDate() + day);
 
-      // Determine which location(s) to visit on this day
-      const locationsForDay = this.distributeLocationsAcrossDays(
-        allLocations,
-        durationDays,
-        day
-      );
+      const locationsForDay = locationsByDay[day];
+      const previousDay = dayPlans[dayPlans.length - 1];
+      const isRestDay = restDays.has(day);
+      const overnightStop = overnightStops.find(stop => stop.dayIndex === day);
+      const drivingMinutes = Math.round(this.getTransferMinutes(previousDay?.places, locationsForDay));
 
-      // Find attractions and activities for these locations
-      const activities = await this.generateActivitiesForDay(
+      // Generate meal suggestions (their times are kept free of activities)
+      const meals = this.generateMealSuggestions(preferences);
+
+      // Find attractions and activities for these locations (none on rest days)
+      const activities = isRestDay ? [] : await this.generateActivitiesForDay(
         locationsForDay,
         preferences,
-        currentDate
+        currentDate,
+        { meals, usedPlaceIds, warnings, dayNumber: day + 1, transferMinutes: drivingMinutes, random }
       );
+      activities.forEach(activity => usedPlaceIds.add(activity.placeId));
 
-      // Generate accommodation suggestion
-      const accommodation = this.generateAccommodationSuggestion(
-        locationsForDay[locationsForDay.length - 1],
-        preferences
-      );
+      // Find somewhere to stay near the day's last location (same place as last night when the base hasn't moved)
+      const lastLocation = locationsForDay[locationsForDay.length - 1];
+      const accommodation = previousDay?.accommodation?.placeId &&
+        haversineDistance(previousDay.places[previousDay.places.length - 1], lastLocation) <= SAME_PLACE_RADIUS_METERS
+        ? {
+          ...previousDay.accommodation,
+          provenance: this.withRule(previousDay.accommodation.provenance, 'same-as-previous-night')
+        }
+        : await this.generateAccommodationSuggestion(lastLocation, preferences, { warnings, dayNumber: day + 1, random });
 
-      // Generate meal suggestions
-      const meals = this.generateMealSuggestions(preferences);
+      // Eat near wherever the traveller is at each meal time (the day starts from last night's stay)
+      await this.assignRestaurants(meals, preferences, {
+        activities,
+        start: previousDay?.accommodation?.location || locationsForDay[0],
+        base: lastLocation,
+        visitedRestaurantIds,
+        warnings,
+        dayNumber: day + 1,
+        random
+      });
 
       dayPlans.push({
         dayNumber: day + 1,
         date: currentDate,
-        places: locationsForDay,
+        places: locationsForDay.map(location => this.toDayPlace(location)),
         activities,
         accommodation,
         meals,
-        notes: `Day ${day + 1} of your trip`
+        drivingMinutes,
+        isRestDay,
+        ...(overnightStop && { overnightStop: { from: overnightStop.from, to: overnightStop.to } }),
+        notes: isRestDay
+          ? `Day ${day + 1}: rest day in ${lastLocation.name}`
+          : overnightStop
+            ? `Day ${day + 1}: overnight stop on the way to ${overnightStop.to}`
+            : `Day ${day + 1} of your trip`
       });
     }
 
@@ -107,107 +243,866 @@ class ItineraryGeneratorService {
   }
 
   /**
-   * Distribute locations across days based on duration
+   * Regenerate one day, keeping the places, activities and meals the user locked
+   * @param {string} itineraryId - Itinerary ID
+   * @param {number} dayNumber - Day to regenerate
+   * @param {object} overrides - For this run only: { interests, pace (or travelStyle), excludePlaceIds (or excludePlaceId), seed }
+   * @param {object} context - Edit context: { userId, expectedVersion }
+   * @returns {Promise<object>} { itinerary, day, warnings, seed }
    */
-  distributeLocationsAcrossDays(locations, totalDays, currentDay) {
-    const locationsPerDay = Math.max(1, Math.floor(locations.length / totalDays));
-    const startIdx = currentDay * locationsPerDay;
-    const endIdx = Math.min(startIdx + locationsPerDay, locations.length);
-    
-    return locations.slice(startIdx, endIdx);
+  async regenerateDay(itineraryId, dayNumber, overrides = {}, context = {}) {
+    const itinerary = await dayPlanService.loadItinerary(itineraryId, context);
+    const day = dayPlanService.findDay(itinerary, dayNumber);
+    const warnings = [];
+
+    const basePreferences = itinerary.preferences.toObject();
+    const travelStyle = overrides.pace || overrides.travelStyle || basePreferences.travelStyle;
+    if (!TRAVEL_STYLES.includes(travelStyle)) {
+      throw createHttpError(400, `Invalid pace. Must be: ${TRAVEL_STYLES.join(', ')}`);
+    }
+    if (overrides.interests !== undefined && !Array.isArray(overrides.interests)) {
+      throw createHttpError(400, 'interests must be an array');
+    }
+    const seedError = validateSeed(overrides.seed);
+    if (seedError) {
+      throw createHttpError(400, seedError);
+    }
+    const seed = overrides.seed !== undefined && overrides.seed !== null ? String(overrides.seed) : createSeed();
+    const random = createRandom(seed);
+
+    const excludedIds = [].concat(overrides.excludePlaceIds || [], overrides.excludePlaceId || []).map(String);
+    const preferences = {
+      ...basePreferences,
+      travelStyle,
+      interests: overrides.interests || basePreferences.interests,
+      excludedPlaceIds: [...(basePreferences.excludedPlaceIds || []), ...excludedIds]
+    };
+
+    // Excluded places leave the day unless they are locked
+    day.places
+      .filter(place => excludedIds.includes(place.placeId))
+      .forEach(place => {
+        if (place.locked) {
+          warnings.push(`${place.name} is locked and was kept`);
+        } else {
+          day.places.pull(place._id);
+        }
+      });
+
+    // The day's own places decide where it happens; an empty day falls back to the trip plan
+    let locations = day.places.map(place => ({
+      placeId: place.placeId,
+      name: place.name,
+      latitude: place.location.latitude,
+      longitude: place.location.longitude
+    }));
+    if (locations.length === 0) {
+      locations = this.distributeLocationsAcrossDays(
+        itinerary.startLocation,
+        itinerary.destinations,
+        itinerary.endLocation,
+        itinerary.dayPlans.length,
+        itinerary.startDate
+      )[day.dayNumber - 1] || [];
+    }
+
+    const lockedMeals = day.meals.filter(meal => meal.locked).map(meal => meal.toObject());
+    const meals = [
+      ...lockedMeals,
+      ...this.generateMealSuggestions(preferences).filter(meal => !lockedMeals.some(locked => locked.type === meal.type))
+    ].sort((a, b) => (a.time || '').localeCompare(b.time || ''));
+
+    // Locked activities keep their time slots; places used on other days aren't suggested again
+    const lockedActivities = day.activities.filter(activity => activity.locked).map(activity => activity.toObject());
+    const usedPlaceIds = new Set([
+      ...preferences.excludedPlaceIds,
+      ...lockedActivities.map(activity => activity.placeId),
+      ...itinerary.dayPlans
+        .filter(other => other.dayNumber !== day.dayNumber)
+        .flatMap(other => other.activities.map(activity => activity.placeId))
+    ]);
+    const visitedRestaurantIds = new Set(itinerary.dayPlans
+      .filter(other => other.dayNumber !== day.dayNumber)
+      .flatMap(other => other.meals.map(meal => meal.placeId).filter(Boolean)));
+
+    const activities = locations.length > 0
+      ? await this.generateActivitiesForDay(locations, preferences, day.date, {
+        meals,
+        usedPlaceIds,
+        warnings,
+        dayNumber: day.dayNumber,
+        busy: lockedActivities,
+        transferMinutes: day.drivingMinutes || 0,
+        random
+      })
+      : [];
+
+    const dayActivities = [...lockedActivities, ...activities]
+      .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+    const previousDay = itinerary.dayPlans.find(other => other.dayNumber === day.dayNumber - 1);
+    await this.assignRestaurants(meals, preferences, {
+      activities: dayActivities,
+      start: previousDay?.accommodation?.location?.latitude !== undefined
+        ? previousDay.accommodation.location
+        : locations[0],
+      base: locations[locations.length - 1],
+      visitedRestaurantIds,
+      warnings,
+      dayNumber: day.dayNumber,
+      random
+    });
+
+    const accommodation = !day.accommodation?.name && locations.length > 0
+      ? await this.generateAccommodationSuggestion(locations[locations.length - 1], preferences, {
+        warnings,
+        dayNumber: day.dayNumber,
+        random
+      })
+      : null;
+
+    // New picks are priced at the base tier; bring them down to the tiers the budget fit chose
+    const fittedTiers = itinerary.budgetCheck?.tiers;
+    const baseTier = BUDGET_TIERS.includes(basePreferences.budget) ? basePreferences.budget : 'moderate';
+    const newPicks = { activities: dayActivities, meals, accommodation };
+    ['accommodation', 'food'].forEach(category => {
+      if (fittedTiers?.[category] && fittedTiers[category] !== baseTier) {
+        this.repriceCategory([newPicks], category, fittedTiers[category], preferences);
+      }
+    });
+
+    day.activities = newPicks.activities;
+    day.meals = newPicks.meals;
+    day.isRestDay = false; // regenerating a rest day plans it as a normal day
+    if (newPicks.accommodation) {
+      day.accommodation = newPicks.accommodation;
+    }
+
+    // The new day can change whether the trip fits the budget; only this day is adjusted
+    const regenerated = day.toObject();
+    const budgetCheck = this.fitToBudget([regenerated], basePreferences, {
+      previous: itinerary.budgetCheck?.tiers ? itinerary.budgetCheck : null,
+      fixedDays: itinerary.dayPlans.filter(other => other.dayNumber !== day.dayNumber).map(other => other.toObject())
+    });
+    if (budgetCheck) {
+      day.activities = regenerated.activities;
+      day.meals = regenerated.meals;
+      day.accommodation = regenerated.accommodation;
+      itinerary.budgetCheck = budgetCheck;
+      if (!budgetCheck.withinBudget) {
+        warnings.push(`Over budget by LKR ${budgetCheck.shortfall} after all adjustments`);
+      }
+    }
+    itinerary.totalEstimatedCost = this.calculateTotalCosts(itinerary.dayPlans, basePreferences);
+
+    await dayPlanService.saveItinerary(itinerary, context, 'day.regenerate');
+    console.log(`✅ Regenerated day ${dayNumber} of itinerary ${itineraryId} (${lockedActivities.length} locked, ${activities.length} new activities)`);
+
+    return { itinerary, day, warnings, seed };
   }
 
   /**
-   * Generate activities for a day based on locations and preferences
+   * Distribute locations across days.
+   * Nearby destinations are grouped into stops that keep the trip order. Each stop
+   * gets days from its `duration` or arrival/departure dates, spare days go to stops
+   * without a fixed stay, the start joins day 1 and the end joins the last day.
+   * No location is ever dropped: when there are more stops than days, the closest
+   * neighbouring stops share a day.
+   * @returns {Array<Array<object>>} Locations for each day (index 0 is day 1)
    */
-  async generateActivitiesForDay(locations, preferences, date) {
-    const activities = [];
-    const interests = preferences.interests || ['tourist_attraction', 'museum', 'park'];
-    
+  distributeLocationsAcrossDays(startLocation, destinations = [], endLocation, totalDays, startDate) {
+    if (totalDays <= 0) return [];
+
+    const dayIndexOf = (date) => {
+      if (!date) return null;
+      const index = Math.round((new Date(date) - new Date(startDate)) / ONE_DAY);
+      return Number.isNaN(index) ? null : Math.min(Math.max(index, 0), totalDays - 1);
+    };
+
+    // Without destinations the start and end are the stops themselves
+    const hasDestinations = destinations.length > 0;
+    const members = hasDestinations ? destinations : [startLocation, endLocation].filter(Boolean);
+
+    const stops = this.mergeStopsToFit(this.clusterStops(members, dayIndexOf), totalDays);
+    const stopDays = this.allocateStopDays(stops, totalDays);
+    const stopStarts = this.scheduleStopStarts(stops, stopDays, totalDays);
+
+    const locationsByDay = Array.from({ length: totalDays }, () => []);
+    stops.forEach((stop, i) => {
+      const firstDay = stopStarts[i];
+      const span = (i + 1 < stops.length ? stopStarts[i + 1] : totalDays) - firstDay;
+      const count = stop.locations.length;
+
+      // Spread the stop's locations evenly; extra days stay at the current location
+      for (let d = 0; d < span; d++) {
+        const from = Math.floor((d * count) / span);
+        const to = Math.floor(((d + 1) * count) / span);
+        locationsByDay[firstDay + d].push(...(to > from ? stop.locations.slice(from, to) : [stop.locations[from]]));
+      }
+    });
+
+    if (hasDestinations) {
+      // Days before the first stop (e.g. a later arrivalDate) are spent at the start
+      for (let d = 0; d < stopStarts[0]; d++) {
+        locationsByDay[d].push(startLocation);
+      }
+
+      const firstDay = locationsByDay[0];
+      if (startLocation && haversineDistance(startLocation, firstDay[0]) > SAME_PLACE_RADIUS_METERS) {
+        firstDay.unshift(startLocation);
+      }
+
+      const lastDay = locationsByDay[totalDays - 1];
+      if (endLocation && haversineDistance(endLocation, lastDay[lastDay.length - 1]) > SAME_PLACE_RADIUS_METERS) {
+        lastDay.push(endLocation);
+      }
+    }
+
+    console.log(`🗺️ Distributed ${members.length} location(s) into ${stops.length} stop(s) over ${totalDays} day(s)`);
+    return locationsByDay;
+  }
+
+  /**
+   * Helper: Group consecutive locations within SAME_DAY_RADIUS_METERS into stops
+   */
+  clusterStops(locations, dayIndexOf) {
+    const stops = [];
+
+    locations.forEach(location => {
+      const stop = {
+        locations: [location],
+        fixedDays: this.getFixedStayDays(location, dayIndexOf),
+        earliestDay: dayIndexOf(location.arrivalDate),
+        latestDay: dayIndexOf(location.departureDate)
+      };
+
+      const current = stops[stops.length - 1];
+      if (current && haversineDistance(current.locations[0], location) <= SAME_DAY_RADIUS_METERS) {
+        stops[stops.length - 1] = this.combineStops(current, stop);
+      } else {
+        stops.push(stop);
+      }
+    });
+
+    return stops;
+  }
+
+  /**
+   * Helper: Days a destination asks for (duration, else arrival to departure), or null if flexible
+   */
+  getFixedStayDays(location, dayIndexOf) {
+    if (location.duration > 0) {
+      return Math.round(location.duration);
+    }
+
+    const arrival = dayIndexOf(location.arrivalDate);
+    const departure = dayIndexOf(location.departureDate);
+    if (arrival !== null && departure !== null) {
+      return Math.max(1, departure - arrival + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper: Combine two neighbouring stops into one
+   */
+  combineStops(a, b) {
+    const pick = (x, y, fn) => (x === null ? y : y === null ? x : fn(x, y));
+
+    return {
+      locations: [...a.locations, ...b.locations],
+      fixedDays: a.fixedDays === null && b.fixedDays === null
+        ? null
+        : (a.fixedDays || 1) + (b.fixedDays || 1),
+      earliestDay: pick(a.earliestDay, b.earliestDay, Math.min),
+      latestDay: pick(a.latestDay, b.latestDay, Math.max)
+    };
+  }
+
+  /**
+   * Helper: Merge the closest neighbouring stops until every stop can have a day
+   */
+  mergeStopsToFit(stops, totalDays) {
+    const merged = [...stops];
+
+    while (merged.length > totalDays) {
+      let closest = 0;
+      let closestDistance = Infinity;
+
+      for (let i = 0; i < merged.length - 1; i++) {
+        const current = merged[i].locations;
+        const distance = haversineDistance(current[current.length - 1], merged[i + 1].locations[0]);
+        if (distance < closestDistance) {
+          closest = i;
+          closestDistance = distance;
+        }
+      }
+
+      merged.splice(closest, 2, this.combineStops(merged[closest], merged[closest + 1]));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Helper: Number of days per stop, adding up to totalDays
+   */
+  allocateStopDays(stops, totalDays) {
+    const days = stops.map(stop => stop.fixedDays || 1);
+    let total = days.reduce((sum, d) => sum + d, 0);
+
+    // Too long: shorten the longest stays first
+    while (total > totalDays) {
+      const longest = days.indexOf(Math.max(...days));
+      days[longest]--;
+      total--;
+    }
+
+    // Spare days: share them between flexible stops, busiest first
+    const flexible = stops.map((stop, i) => i).filter(i => stops[i].fixedDays === null);
+    const receivers = (flexible.length > 0 ? flexible : stops.map((stop, i) => i))
+      .sort((a, b) => stops[b].locations.length - stops[a].locations.length || a - b);
+
+    for (let k = 0; total < totalDays; k++, total++) {
+      days[receivers[k % receivers.length]]++;
+    }
+
+    return days;
+  }
+
+  /**
+   * Helper: First day (index) of each stop, honouring arrival/departure dates where possible
+   */
+  scheduleStopStarts(stops, stopDays, totalDays) {
+    const starts = [];
+    let cursor = 0;
+
+    stops.forEach((stop, i) => {
+      const start = stop.earliestDay ?? cursor;
+      starts.push(start);
+      cursor = start + stopDays[i];
+      if (stop.latestDay !== null) {
+        cursor = Math.min(cursor, stop.latestDay + 1);
+      }
+    });
+
+    // Keep the trip order and at least one day per stop
+    for (let i = 1; i < starts.length; i++) {
+      starts[i] = Math.max(starts[i], starts[i - 1] + 1);
+    }
+    for (let i = starts.length - 1; i >= 0; i--) {
+      const next = i + 1 < starts.length ? starts[i + 1] - 1 : Infinity;
+      starts[i] = Math.min(starts[i], totalDays - (starts.length - i), next);
+    }
+
+    return starts;
+  }
+
+  /**
+   * Helper: Day plan place for a trip location ({ name, latitude, longitude, placeId? }).
+   * Locations picked on a map have no Google place ID, so one is made from the coordinates.
+   */
+  toDayPlace(location) {
+    return {
+      placeId: location.placeId || `coords:${location.latitude.toFixed(5)},${location.longitude.toFixed(5)}`,
+      name: location.name,
+      location: { latitude: location.latitude, longitude: location.longitude }
+    };
+  }
+
+  /**
+   * Estimated driving minutes through a day's locations, starting from where the
+   * previous day ended (or the day's first location on day 1)
+   */
+  getTransferMinutes(previousLocations, locations) {
+    const origin = previousLocations?.length > 0 ? previousLocations[previousLocations.length - 1] : locations[0];
+
+    return [origin, ...locations].reduce((total, location, i, route) => (
+      i === 0 ? 0 : total + daySchedulerService.estimateDrivingMinutes(route[i - 1], location)
+    ), 0);
+  }
+
+  /**
+   * Break days whose drive is over the pace's limit with an overnight stop part-way
+   * along the long leg. The day after the stop finishes the drive; to keep the trip
+   * length, a later day spent at the same base as the one before it is given up
+   * (its locations join that previous day). Without such a day the drive is left as is.
+   * @returns {object} { locationsByDay, overnightStops: [{ dayIndex, from, to, drivingMinutes }] }
+   */
+  splitLongTransfers(locationsByDay, maxDrivingMinutes, warnings = []) {
+    const days = locationsByDay.map(locations => [...locations]);
+    const overnightStops = [];
+    const lastOf = (locations) => locations[locations.length - 1];
+
+    for (let i = 0; i < days.length; i++) {
+      const route = [i > 0 ? lastOf(days[i - 1]) : days[i][0], ...days[i]];
+      let driven = 0;
+      let longLeg = -1;
+
+      for (let k = 1; k < route.length; k++) {
+        const minutes = daySchedulerService.estimateDrivingMinutes(route[k - 1], route[k]);
+        if (driven + minutes > maxDrivingMinutes) {
+          longLeg = k;
+          break;
+        }
+        driven += minutes;
+      }
+      if (longLeg === -1) continue;
+
+      const from = route[longLeg - 1];
+      const to = route[longLeg];
+      const legMinutes = daySchedulerService.estimateDrivingMinutes(from, to);
+      const hours = ((driven + legMinutes) / 60).toFixed(1);
+
+      const spare = days.findIndex((locations, j) => j > i &&
+        locations.every(location => haversineDistance(lastOf(days[j - 1]), location) <= SAME_DAY_RADIUS_METERS));
+      if (spare === -1) {
+        warnings.push(`Day ${i + 1}: about ${hours} h of driving from ${from.name} to ${to.name} is over the daily limit, but there is no spare day for an overnight stop`);
+        continue;
+      }
+
+      // Stop where the day's driving limit runs out (not too close to either end)
+      const fraction = Math.min(0.8, Math.max(0.2, (maxDrivingMinutes - driven) / legMinutes));
+      const latitude = from.latitude + (to.latitude - from.latitude) * fraction;
+      const longitude = from.longitude + (to.longitude - from.longitude) * fraction;
+      const stopover = {
+        // A point on the map, not a Google place, so it gets an ID of its own
+        placeId: `stopover:${latitude.toFixed(5)},${longitude.toFixed(5)}`,
+        name: `Stopover on the way to ${to.name}`,
+        latitude,
+        longitude
+      };
+
+      // Locations the spare day visited beyond its base move to the day before it
+      const spareLocations = days[spare].filter(location => !days[spare - 1]
+        .some(existing => haversineDistance(existing, location) <= SAME_PLACE_RADIUS_METERS));
+      days[spare - 1].push(...spareLocations);
+      days.splice(spare, 1);
+
+      days.splice(i, 1, [...route.slice(1, longLeg), stopover], days[i].slice(longLeg - 1));
+      overnightStops.push({ dayIndex: i, from: from.name, to: to.name, drivingMinutes: Math.round(driven + legMinutes) });
+      warnings.push(`Day ${i + 1}: split about ${hours} h of driving from ${from.name} to ${to.name} with an overnight stop`);
+      console.log(`🛏️ Overnight stop on day ${i + 1} between ${from.name} and ${to.name}`);
+    }
+
+    return { locationsByDay: days, overnightStops };
+  }
+
+  /**
+   * Days (0-based) to keep free of activities: after `every` active days, the next
+   * day that doesn't move base (never the last day)
+   */
+  pickRestDays(locationsByDay, every) {
+    const restDays = new Set();
+    if (!every) return restDays;
+
+    let activeDays = 0;
+    locationsByDay.forEach((locations, i) => {
+      const staysPut = i > 0 && locations.every(location => haversineDistance(
+        locationsByDay[i - 1][locationsByDay[i - 1].length - 1], location
+      ) <= SAME_DAY_RADIUS_METERS);
+
+      if (activeDays >= every && staysPut && i < locationsByDay.length - 1) {
+        restDays.add(i);
+        activeDays = 0;
+      } else {
+        activeDays++;
+      }
+    });
+
+    return restDays;
+  }
+
+  /**
+   * Generate activities for a day based on locations and preferences.
+   * Candidates are the best-fitting places near each location that haven't been
+   * used yet, picked with variety rules; the day scheduler then fits them around
+   * meals, opening hours, the drive between stops and what the pace leaves of the
+   * day's driving limit after the transfer.
+   * Each activity records its provenance: matched interest, rating, distance from the
+   * day's base and the rules applied.
+   * @param {object} options - { meals, usedPlaceIds (not to suggest), warnings, dayNumber, busy (time slots already taken),
+   *   transferMinutes (driving between the day's locations), random (seeded tie-breaking) }
+   */
+  async generateActivitiesForDay(locations, preferences, date, options = {}) {
+    const { meals = [], usedPlaceIds = new Set(), warnings = [], dayNumber, busy = [], transferMinutes = 0, random } = options;
+    const pace = PACE_PROFILES[preferences.travelStyle] || PACE_PROFILES.moderate;
+    const interests = preferences.interests || [];
+    const searchTypes = interestTaxonomy.getSearchTypes(interests);
+    let duration = preferences.travelStyle === 'relaxed' ? 120 : preferences.travelStyle === 'moderate' ? 90 : 60;
+    if (hasYoungChildren(preferences.party)) {
+      // Young children tire quickly: shorter visits, rounded to 15 minutes
+      duration = Math.max(45, Math.round((duration * 0.75) / 15) * 15);
+    }
+    const stepFree = needsStepFreeAccess(preferences.party);
+    const placesPerLocation = preferences.travelStyle === 'packed' ? 3 : 2;
+    const rankedByLocation = [];
+
     for (const location of locations) {
       try {
         // Search for attractions near this location
         const nearbyPlaces = await googlePlacesService.searchNearby(
           { latitude: location.latitude, longitude: location.longitude },
           5000, // 5km radius
-          interests.slice(0, 3) // Limit to 3 types
+          searchTypes
         );
 
-        // Take top 2-3 places based on rating
-        const topPlaces = nearbyPlaces
-          .filter(p => p.rating >= 4.0)
-          .sort((a, b) => (b.rating || 0) - (a.rating || 0))
-          .slice(0, preferences.travelStyle === 'packed' ? 3 : 2);
-
-        topPlaces.forEach((place, idx) => {
-          const startHour = 9 + (idx * 3); // Space activities 3 hours apart
-          activities.push({
-            placeId: place.id,
-            placeName: place.displayName?.text || place.name,
-            activity: `Visit ${place.displayName?.text || place.name}`,
-            duration: preferences.travelStyle === 'relaxed' ? 120 : preferences.travelStyle === 'moderate' ? 90 : 60,
-            estimatedCost: this.estimateActivityCost(place.types, preferences.budget),
-            startTime: `${startHour}:00`,
-            endTime: `${startHour + 2}:00`
-          });
-        });
+        const ranked = interestTaxonomy.rankPlaces(
+          shuffle(nearbyPlaces.filter(p => p.rating >= 4.0 && !usedPlaceIds.has(p.id)), random),
+          interests
+        );
+        rankedByLocation.push(stepFree ? preferAccessiblePlaces(ranked) : ranked);
       } catch (error) {
         console.error(`⚠️ Error finding activities for location:`, error.message);
+        warnings.push(`Day ${dayNumber}: could not find activities near ${location.name} (${error.message})`);
       }
     }
 
+    const picked = this.pickVariedPlaces(rankedByLocation, placesPerLocation * locations.length);
+    const candidates = picked.map(({ place }) => ({
+      place,
+      duration,
+      estimatedCost: this.estimateActivityCost(place.types, preferences.budget, preferences.party)
+    }));
+    const maxDrivingMinutes = Math.max(MIN_SIGHTSEEING_DRIVING_MINUTES, pace.maxDrivingMinutes - transferMinutes);
+
+    const { activities, skipped } = await daySchedulerService.scheduleDay(candidates, {
+      date,
+      origin: locations[0],
+      meals,
+      busy,
+      bufferMinutes: pace.bufferMinutes,
+      maxDrivingMinutes
+    });
+
+    skipped.forEach(({ placeName, reason }) => {
+      warnings.push(`Day ${dayNumber}: skipped ${placeName} (${reason})`);
+    });
+
+    const rules = [
+      'min-rating-4',
+      'no-repeat-places',
+      'interest-weighted-rating',
+      ...(stepFree ? ['step-free-first'] : []),
+      `max-${MAX_SAME_KIND_PER_DAY}-per-kind`,
+      ...(hasYoungChildren(preferences.party) ? ['short-visits-young-children'] : []),
+      'opening-hours',
+      'meal-times-free',
+      `buffer-${pace.bufferMinutes}-min`,
+      `max-driving-${Math.round(maxDrivingMinutes)}-min`,
+      `${preferences.budget}-tier-price`,
+      ...(preferences.party ? ['party-priced'] : [])
+    ];
+    activities.forEach(activity => {
+      const entry = picked.find(({ place }) => place.id === activity.placeId);
+      activity.provenance = this.buildProvenance(entry.place, {
+        match: entry.match,
+        base: this.getDayBase(locations),
+        rules: [...rules, ...(entry.rules || [])]
+      });
+    });
+
     return activities;
   }
 
   /**
-   * Generate accommodation suggestion
+   * Helper: Pick up to `limit` places for a day from per-location rankings.
+   * Locations take turns so each gets its best places first, no kind appears more
+   * than MAX_SAME_KIND_PER_DAY times, and a day of only indoor (or only outdoor)
+   * places swaps its weakest pick for the best place of the other setting.
+   * @param {Array<Array<object>>} rankedByLocation - rankPlaces() results per location
+   * @returns {Array<object>} Picked { place, match, score } entries in preference order
+   */
+  pickVariedPlaces(rankedByLocation, limit) {
+    const pool = [];
+    const seen = new Set();
+    const longest = Math.max(0, ...rankedByLocation.map(list => list.length));
+
+    for (let rank = 0; rank < longest; rank++) {
+      rankedByLocation.forEach(list => {
+        const entry = list[rank];
+        if (entry && !seen.has(entry.place.id)) {
+          seen.add(entry.place.id);
+          pool.push(entry);
+        }
+      });
+    }
+
+    const kindOf = (entry) => entry.match.kind || entry.place.types?.[0] || 'other';
+    const kindCounts = {};
+    const picked = [];
+
+    for (const entry of pool) {
+      if (picked.length >= limit) break;
+
+      const kind = kindOf(entry);
+      if ((kindCounts[kind] || 0) >= MAX_SAME_KIND_PER_DAY) continue;
+
+      kindCounts[kind] = (kindCounts[kind] || 0) + 1;
+      picked.push(entry);
+    }
+
+    const settingOf = (entry) => interestTaxonomy.getSetting(entry.place, entry.match);
+    const settings = new Set(picked.map(settingOf).filter(Boolean));
+
+    if (picked.length > 1 && settings.size === 1) {
+      const [onlySetting] = settings;
+      const alternative = pool.find(entry =>
+        !picked.includes(entry) &&
+        settingOf(entry) && settingOf(entry) !== onlySetting &&
+        (kindCounts[kindOf(entry)] || 0) < MAX_SAME_KIND_PER_DAY
+      );
+
+      if (alternative) {
+        picked[picked.length - 1] = { ...alternative, rules: ['indoor-outdoor-mix'] };
+      }
+    }
+
+    return picked;
+  }
+
+  /**
+   * Helper: The day's base is where it ends (the night's stay)
+   */
+  getDayBase(locations) {
+    return locations[locations.length - 1];
+  }
+
+  /**
+   * Helper: Provenance record for a picked place
+   * @param {object} place - Places API place
+   * @param {object} details - { match (from matchPlace), kind, base, rules }
    */
-  generateAccommodationSuggestion(location, preferences) {
-    const costs = {
-      budget: { hostel: 1500, guesthouse: 2500, hotel: 3500, resort: 5000 },
-      moderate: { hostel: 2500, guesthouse: 4000, hotel: 6000, resort: 10000 },
-      luxury: { hostel: 4000, guesthouse: 6000, hotel: 12000, resort: 25000 }
+  buildProvenance(place, { match, kind, base, rules = [] }) {
+    const distance = haversineDistance(base, place);
+
+    return {
+      interest: match?.interest || undefined,
+      kind: match?.kind || kind,
+      rating: place.rating,
+      distanceFromBase: Number.isFinite(distance) ? Math.round(distance) : undefined,
+      rules
     };
+  }
+
+  /**
+   * Helper: Copy of a provenance record with one more rule
+   */
+  withRule(provenance, rule) {
+    return { ...provenance, rules: [...(provenance?.rules || []), rule] };
+  }
+
+  /**
+   * Generate accommodation suggestion.
+   * Searches lodging of the preferred type near the location, ranked by rating and
+   * how well its price level fits the budget; the runners-up are kept as alternates.
+   * Falls back to a placeholder when nothing is found.
+   * @param {object} options - { warnings, dayNumber, random (seeded tie-breaking) }
+   */
+  async generateAccommodationSuggestion(location, preferences, options = {}) {
+    const { warnings = [], dayNumber, random } = options;
+    const type = LODGING_TYPES[preferences.accommodation] ? preferences.accommodation : 'hotel';
+    let ranked = [];
+
+    try {
+      const lodging = await googlePlacesService.searchNearby(
+        { latitude: location.latitude, longitude: location.longitude },
+        LODGING_SEARCH_RADIUS_METERS,
+        LODGING_TYPES[type]
+      );
+      ranked = this.rankLodging(shuffle(lodging, random), preferences.budget);
+    } catch (error) {
+      console.error(`⚠️ Error finding accommodation near ${location.name}:`, error.message);
+    }
+
+    if (ranked.length === 0) {
+      warnings.push(`Day ${dayNumber}: no ${type} found near ${location.name}; using an estimate`);
+      return {
+        name: `${type} near ${location.name}`,
+        address: location.address || `Near ${location.name}`,
+        checkIn: '14:00',
+        checkOut: '11:00',
+        estimatedCost: ACCOMMODATION_COSTS[preferences.budget]?.[type] || 5000,
+        provenance: { kind: type, rules: ['no-lodging-found', `${preferences.budget}-tier-price`] }
+      };
+    }
+
+    const [best, ...others] = ranked.map(place => this.toAccommodation(place, type, preferences.budget, location));
 
     return {
-      name: `${preferences.accommodation} near ${location.name}`,
-      address: location.address || `Near ${location.name}`,
+      ...best,
       checkIn: '14:00',
       checkOut: '11:00',
-      estimatedCost: costs[preferences.budget][preferences.accommodation] || 5000
+      alternates: others.slice(0, MAX_ACCOMMODATION_ALTERNATES)
     };
   }
 
   /**
-   * Generate meal suggestions
+   * Helper: Sort lodging by rating, penalising price levels away from the budget tier's
    */
-  generateMealSuggestions(preferences) {
-    const mealCosts = {
-      budget: { breakfast: 500, lunch: 800, dinner: 1200 },
-      moderate: { breakfast: 1000, lunch: 1500, dinner: 2500 },
-      luxury: { breakfast: 2000, lunch: 3500, dinner: 6000 }
+  rankLodging(places, budget) {
+    const target = TARGET_PRICE_LEVEL[budget] ?? TARGET_PRICE_LEVEL.moderate;
+
+    const score = (place) => {
+      const level = PRICE_LEVELS.indexOf(place.priceLevel);
+      const pricePenalty = level === -1 ? 0.25 : Math.abs(level - target) * 0.5;
+      return (place.rating || 3.5) - pricePenalty;
     };
 
-    const costs = mealCosts[preferences.budget];
+    return places
+      .filter(place => place.id)
+      .map(place => ({ place, score: score(place) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ place }) => place);
+  }
+
+  /**
+   * Helper: Accommodation entry for a Places API lodging result.
+   * The cost comes from the tier matching its price level (the budget tier when unknown).
+   * @param {object} base - Location the lodging was searched near
+   */
+  toAccommodation(place, type, budget, base) {
+    const level = PRICE_LEVELS.indexOf(place.priceLevel);
+    const tier = level === -1 ? budget : BUDGET_TIERS[Math.min(Math.max(level - 1, 0), BUDGET_TIERS.length - 1)];
+
+    return {
+      placeId: place.id,
+      name: place.displayName?.text || place.name,
+      address: place.formattedAddress,
+      location: place.location
+        ? { latitude: place.location.latitude, longitude: place.location.longitude }
+        : undefined,
+      rating: place.rating,
+      priceLevel: place.priceLevel,
+      estimatedCost: ACCOMMODATION_COSTS[tier]?.[type] || 5000,
+      provenance: this.buildProvenance(place, {
+        kind: type,
+        base,
+        rules: [`lodging-type:${type}`, 'rating-and-price-level', `${tier}-tier-price`]
+      })
+    };
+  }
+
+  /**
+   * Generate meal suggestions (costs are for the whole party)
+   */
+  generateMealSuggestions(preferences) {
+    const costs = MEAL_COSTS[preferences.budget];
+    const factor = getMealCostFactor(preferences.party);
+    const provenance = () => ({
+      kind: 'meal',
+      rules: ['default-meal-time', `${preferences.budget}-tier-price`, ...(preferences.party ? ['party-priced'] : [])]
+    });
 
     return [
-      { type: 'breakfast', restaurant: 'Local breakfast spot', estimatedCost: costs.breakfast, time: '08:00' },
-      { type: 'lunch', restaurant: 'Local restaurant', estimatedCost: costs.lunch, time: '13:00' },
-      { type: 'dinner', restaurant: 'Local dining', estimatedCost: costs.dinner, time: '19:00' }
+      { type: 'breakfast', restaurant: 'Local breakfast spot', estimatedCost: Math.round(costs.breakfast * factor), time: '08:00', provenance: provenance() },
+      { type: 'lunch', restaurant: 'Local restaurant', estimatedCost: Math.round(costs.lunch * factor), time: '13:00', provenance: provenance() },
+      { type: 'dinner', restaurant: 'Local dining', estimatedCost: Math.round(costs.dinner * factor), time: '19:00', provenance: provenance() }
     ];
   }
 
   /**
-   * Estimate activity cost based on place type and budget
+   * Match meals to real restaurants or cafés near where the traveller is at each meal
+   * time: after the last activity that ends by then, or where the day starts.
+   * Dietary preferences rule places out, and places known to cater for them come first.
+   * A place is used once a day; ones visited on other days are picked only when nothing else fits.
+   * Locked meals and meals with no restaurant nearby are left as they are.
+   * @param {object} options - { activities, start (where the day begins), base (the day's base, for provenance),
+   *   visitedRestaurantIds, warnings, dayNumber, random (seeded tie-breaking) }
    */
-  estimateActivityCost(types = [], budget) {
-    const baseCosts = {
-      budget: 500,
-      moderate: 1500,
-      luxury: 5000
-    };
+  async assignRestaurants(meals, preferences, options = {}) {
+    const { activities = [], start, base, visitedRestaurantIds = new Set(), warnings = [], dayNumber, random } = options;
+    const dietary = preferences.dietary || [];
+    const dietaryTypes = getDietarySearchTypes(dietary);
+    const todayIds = new Set(meals.map(meal => meal.placeId).filter(Boolean));
 
-    let cost = baseCosts[budget] || 1500;
+    for (const meal of meals) {
+      if (meal.locked || meal.placeId) continue;
+
+      const lastActivity = activities
+        .filter(activity => activity.endTime && activity.endTime <= meal.time && toCoordinates(activity.location))
+        .pop();
+      const position = toCoordinates(lastActivity?.location) || toCoordinates(start);
+      if (!position) continue;
+
+      try {
+        const nearby = await googlePlacesService.searchNearby(
+          position,
+          MEAL_SEARCH_RADIUS_METERS,
+          [...new Set([...dietaryTypes, ...(MEAL_PLACE_TYPES[meal.type] || MEAL_PLACE_TYPES.lunch)])]
+        );
+        const choice = this.pickRestaurant(
+          shuffle(nearby.filter(place => !todayIds.has(place.id)), random),
+          meal.type,
+          dietary,
+          visitedRestaurantIds
+        );
+
+        if (!choice) {
+          warnings.push(`Day ${dayNumber}: no ${dietary.length > 0 ? `${dietary.join('/')} ` : ''}place found for ${meal.type}`);
+          meal.provenance = this.withRule(meal.provenance, 'no-restaurant-found');
+          continue;
+        }
+
+        const { place, confirmed, fresh } = choice;
+        const name = place.displayName?.text || place.name;
+        if (dietary.length > 0 && !confirmed) {
+          warnings.push(`Day ${dayNumber}: check ${dietary.join('/')} options at ${name} (${meal.type})`);
+        }
+
+        Object.assign(meal, {
+          restaurant: name,
+          placeId: place.id,
+          address: place.formattedAddress,
+          location: toCoordinates(place) || undefined,
+          rating: place.rating,
+          provenance: this.buildProvenance(place, {
+            kind: meal.type,
+            base,
+            rules: [
+              ...(meal.provenance?.rules || []),
+              lastActivity ? 'near-last-activity' : 'near-day-start',
+              ...(place[MEAL_SERVES_FIELDS[meal.type]] ? [`serves-${meal.type}`] : []),
+              ...dietary.map(option => `dietary:${option}`),
+              ...(dietary.length > 0 && !confirmed ? ['dietary-unconfirmed'] : []),
+              fresh ? 'not-visited-before' : 'repeat-visit'
+            ]
+          })
+        });
+        todayIds.add(place.id);
+        visitedRestaurantIds.add(place.id);
+      } catch (error) {
+        console.error(`⚠️ Error finding a restaurant for ${meal.type}:`, error.message);
+        warnings.push(`Day ${dayNumber}: could not find a restaurant for ${meal.type} (${error.message})`);
+      }
+    }
+
+    return meals;
+  }
+
+  /**
+   * Helper: Best place serving the meal that suits the diets
+   * (places known to cater for them first, then ones not visited yet, then by rating)
+   * @returns {object|null} { place, confirmed, fresh }
+   */
+  pickRestaurant(places, mealType, dietary, visitedRestaurantIds) {
+    const servesField = MEAL_SERVES_FIELDS[mealType];
+
+    return places
+      .filter(place => place.id && (!servesField || place[servesField] !== false))
+      .map(place => ({ place, ...checkDietary(place, dietary), fresh: !visitedRestaurantIds.has(place.id) }))
+      .filter(({ suitable }) => suitable)
+      .sort((a, b) => (b.confirmed - a.confirmed) ||
+        (b.fresh - a.fresh) ||
+        ((b.place.rating || 0) - (a.place.rating || 0)))
+      .map(({ place, confirmed, fresh }) => ({ place, confirmed, fresh }))[0] || null;
+  }
+
+  /**
+   * Estimate activity cost based on place type and budget, for the whole party
+   */
+  estimateActivityCost(types = [], budget, party) {
+    let cost = ACTIVITY_BASE_COSTS[budget] || 1500;
 
     // Adjust based on place type
     if (types.includes('museum')) cost += 500;
@@ -215,7 +1110,7 @@ class ItineraryGeneratorService {
     if (types.includes('zoo')) cost += 1000;
     if (types.includes('park')) cost = Math.max(200, cost - 500); // Parks are usually cheaper
 
-    return cost;
+    return Math.round(cost * getEntranceCostFactor(party));
   }
 
   /**
@@ -241,13 +1136,7 @@ class ItineraryGeneratorService {
     });
 
     // Estimate transportation (rough estimate)
-    const transportationCosts = {
-      public: 1000,
-      private: 5000,
-      rental: 3000,
-      mixed: 2000
-    };
-    const transportation = (transportationCosts[preferences.transportation] || 2000) * dayPlans.length;
+    const transportation = (TRANSPORTATION_DAILY_COSTS[preferences.transportation] || 2000) * dayPlans.length;
 
     return {
       accommodation,
@@ -258,18 +1147,219 @@ class ItineraryGeneratorService {
     };
   }
 
+  /**
+   * Fit generated day plans under the numeric budget in preferences.budgetAmount (LKR,
+   * for the whole trip or per day with budgetPeriod 'daily'). Lowers the accommodation and
+   * meal tiers one step at a time (see repriceCategory), then drops the most expensive activities.
+   * If that still isn't enough, reports the shortfall and what else could be cut.
+   * @param {Array<object>} dayPlans - Days the fit may change
+   * @param {object} options - { previous: earlier budget check whose tiers are already applied
+   *   (fitting carries on from its tiers and keeps its adjustments), fixedDays: other days of the
+   *   trip, counted in the total but never changed (e.g. when one day is regenerated) }
+   * @returns {object|null} Budget check (null when no numeric budget was given)
+   */
+  fitToBudget(dayPlans, preferences, { previous = null, fixedDays = [] } = {}) {
+    const amount = Number(preferences.budgetAmount);
+    if (!amount || amount <= 0 || dayPlans.length === 0) return null;
+
+    const allDays = [...fixedDays, ...dayPlans];
+    const period = preferences.budgetPeriod === 'daily' ? 'daily' : 'total';
+    const limit = period === 'daily' ? amount * allDays.length : amount;
+    const startTier = BUDGET_TIERS.includes(preferences.budget) ? preferences.budget : 'moderate';
+    const tiers = {
+      accommodation: previous?.tiers?.accommodation || startTier,
+      food: previous?.tiers?.food || startTier,
+      activities: previous?.tiers?.activities || startTier
+    };
+    // Tiers describe the whole trip, so lowering them for some days only isn't recorded as a trip tier
+    const tripTiers = { ...tiers };
+    const scope = fixedDays.length > 0 ? ` on day ${dayPlans.map(day => day.dayNumber).join(', ')}` : '';
+    const adjustments = [...(previous?.adjustments || [])];
+    let total = this.calculateTotalCosts(allDays, preferences).total;
+
+    const apply = (description, change) => {
+      const before = total;
+      change();
+      total = this.calculateTotalCosts(allDays, preferences).total;
+      if (total < before) {
+        adjustments.push(`${description} (saves LKR ${before - total})`);
+      }
+    };
+
+    // 1. Cheaper tiers, one category at a time
+    for (let t = BUDGET_TIERS.indexOf(startTier) - 1; t >= 0 && total > limit; t--) {
+      const tier = BUDGET_TIERS[t];
+      for (const category of ['accommodation', 'food']) {
+        if (total <= limit) break;
+        if (BUDGET_TIERS.indexOf(tiers[category]) <= t) continue; // already this cheap
+        apply(`Lowered ${category} to ${tier} tier${scope}`, () => this.repriceCategory(dayPlans, category, tier, preferences));
+        tiers[category] = tier;
+      }
+    }
+
+    // 2. Drop the most expensive paid activities
+    const paidActivities = dayPlans
+      .flatMap(day => day.activities
+        .filter(activity => !activity.locked && activity.estimatedCost > 0)
+        .map(activity => ({ day, activity })))
+      .sort((a, b) => b.activity.estimatedCost - a.activity.estimatedCost);
+
+    for (const { day, activity } of paidActivities) {
+      if (total <= limit) break;
+      apply(`Removed ${activity.placeName} from day ${day.dayNumber}`, () => {
+        day.activities = day.activities.filter(a => a !== activity);
+      });
+    }
+
+    const shortfall = Math.max(0, total - limit);
+    const budgetCheck = {
+      limit,
+      estimatedTotal: total,
+      withinBudget: shortfall === 0,
+      shortfall,
+      tiers: fixedDays.length > 0 ? tripTiers : tiers,
+      adjustments,
+      suggestions: shortfall > 0 ? this.suggestBudgetCuts(allDays, preferences, tiers, total, shortfall) : []
+    };
+
+    console.log(`💰 Budget LKR ${limit}: estimated LKR ${total}${shortfall > 0 ? `, short by LKR ${shortfall}` : ' (within budget)'}`);
+    return budgetCheck;
+  }
+
+  /**
+   * Helper: Move one cost category of the day plans to a cheaper budget tier.
+   * A real place keeps its own cost: lodging switches to a cheaper alternate when there
+   * is one, and only placeholders (no place found) take the tier's estimate. Whatever
+   * can't be saved this way stays in the total and shows up as a shortfall.
+   */
+  repriceCategory(dayPlans, category, toTier, preferences) {
+    dayPlans.forEach(day => {
+      if (category === 'accommodation' && day.accommodation) {
+        const tierCost = ACCOMMODATION_COSTS[toTier][preferences.accommodation];
+        const options = day.accommodation.alternates || [];
+        const cheapest = options
+          .filter(alternate => alternate.estimatedCost < day.accommodation.estimatedCost)
+          .sort((a, b) => a.estimatedCost - b.estimatedCost)[0];
+        const cheaper = options.find(alternate => alternate.estimatedCost <= tierCost) || cheapest;
+
+        if (day.accommodation.estimatedCost > tierCost && cheaper) {
+          // Switch to the best alternate within the tier's price, else the cheapest one that still saves
+          const { alternates, checkIn, checkOut, ...current } = day.accommodation;
+          day.accommodation = {
+            ...cheaper,
+            checkIn,
+            checkOut,
+            provenance: this.withRule(cheaper.provenance, `cheaper-alternate-for-${toTier}-tier`),
+            alternates: [current, ...alternates.filter(alternate => alternate !== cheaper)]
+          };
+        } else if (!day.accommodation.placeId && tierCost) {
+          day.accommodation.estimatedCost = tierCost;
+          day.accommodation.provenance = this.withRule(day.accommodation.provenance, `lowered-to-${toTier}-tier`);
+        }
+      }
+
+      if (category === 'food') {
+        day.meals.forEach(meal => {
+          if (!meal.locked && !meal.placeId && MEAL_COSTS[toTier][meal.type] !== undefined) {
+            meal.estimatedCost = Math.round(MEAL_COSTS[toTier][meal.type] * getMealCostFactor(preferences.party));
+            meal.provenance = this.withRule(meal.provenance, `lowered-to-${toTier}-tier`);
+          }
+        });
+      }
+
+      // Activities are real places with their own entrance costs; only dropping them saves money
+    });
+  }
+
+  /**
+   * Helper: What else could be cut to close a budget shortfall, biggest saving first
+   */
+  suggestBudgetCuts(dayPlans, preferences, tiers, total, shortfall) {
+    const suggestions = [];
+    const days = dayPlans.length;
+
+    const transport = TRANSPORTATION_DAILY_COSTS[preferences.transportation] || 2000;
+    if (transport > TRANSPORTATION_DAILY_COSTS.public) {
+      suggestions.push({
+        cut: 'transportation',
+        suggestion: 'Use public transport',
+        saving: (transport - TRANSPORTATION_DAILY_COSTS.public) * days
+      });
+    }
+
+    const stayCosts = ACCOMMODATION_COSTS[tiers.accommodation];
+    const [cheapestStay, cheapestCost] = Object.entries(stayCosts).sort((a, b) => a[1] - b[1])[0];
+    const nights = dayPlans.filter(day => day.accommodation).length;
+    if ((stayCosts[preferences.accommodation] || 0) > cheapestCost && nights > 0) {
+      suggestions.push({
+        cut: 'accommodation',
+        suggestion: `Stay in a ${cheapestStay} instead of a ${preferences.accommodation}`,
+        saving: (stayCosts[preferences.accommodation] - cheapestCost) * nights
+      });
+    }
+
+    const perDay = total / days;
+    const daysToCut = Math.ceil(shortfall / perDay);
+    if (daysToCut < days) {
+      suggestions.push({
+        cut: 'duration',
+        suggestion: `Shorten the trip by ${daysToCut} day(s)`,
+        saving: Math.round(perDay * daysToCut)
+      });
+    }
+
+    return suggestions.sort((a, b) => b.saving - a.saving);
+  }
+
   /**
    * Update an existing itinerary
+   * @param {string} itineraryId - Itinerary ID
+   * @param {object} updates - Fields to overwrite
+   * @param {object} context - Edit context: { userId, expectedVersion } (version from If-Match)
    */
-  async updateItinerary(itineraryId, updates) {
+  async updateItinerary(itineraryId, updates, context = {}) {
     const itinerary = await Itinerary.findById(itineraryId);
     
     if (!itinerary) {
-      throw new Error('Itinerary not found');
+      throw createHttpError(404, 'Itinerary not found');
     }
 
-    Object.assign(itinerary, updates);
-    await itinerary.save();
+    assertVersion(itinerary, context.expectedVersion);
+
+    // Ownership, sharing and bookkeeping fields can't be changed through a plain update
+    const {
+      _id,
+      userId,
+      collaborators,
+      clonedFrom,
+      revision,
+      lastModifiedBy,
+      editLog,
+      createdAt,
+      updatedAt,
+      startDate,
+      endDate,
+      ...allowedUpdates
+    } = updates;
+
+    Object.assign(itinerary, allowedUpdates);
+
+    // Date changes re-flow the day plans unless the client sends its own dayPlans
+    const datesChanged = (startDate && new Date(startDate).getTime() !== itinerary.startDate.getTime()) ||
+      (endDate && new Date(endDate).getTime() !== itinerary.endDate.getTime());
+    if (datesChanged && !allowedUpdates.dayPlans) {
+      itinerary.$locals.dateChanges = dayPlanService.reflowDates(
+        itinerary,
+        startDate || itinerary.startDate,
+        endDate || itinerary.endDate
+      );
+    } else {
+      if (startDate) itinerary.startDate = startDate;
+      if (endDate) itinerary.endDate = endDate;
+    }
+
+    itinerary.recordEdit(context.userId, 'itinerary.update');
+    await saveWithVersionCheck(itinerary);
 
     return itinerary;
   }
@@ -291,7 +1381,8 @@ class ItineraryGeneratorService {
    * Get all itineraries for a user
    */
   async getUserItineraries(userId, status = null) {
-    const query = { userId };
+    // Includes trips shared with the user
+    const query = Itinerary.accessibleBy(userId);
     if (status) {
       query.status = status;
     }
@@ -309,6 +1400,9 @@ class ItineraryGeneratorService {
       throw new Error('Itinerary not found or unauthorized');
     }
 
+    await ItineraryRevision.deleteMany({ itineraryId });
+    await ShareLink.deleteMany({ itineraryId });
+
     return { success: true, message: 'Itinerary deleted successfully' };
   }
 }
@@ -0,0 +1,96 @@
+const Itinerary = require('../models/Itinerary');
+const ItineraryRevision = require('../models/ItineraryRevision');
+const { diffSnapshots } = require('../utils/itineraryDiff');
+const { createHttpError } = require('../utils/httpError');
+const { assertVersion, saveWithVersionCheck } = require('../utils/itineraryVersion');
+
+class RevisionService {
+  /**
+   * List revisions of an itinerary, newest first (without snapshots)
+   * @param {string} itineraryId - Itinerary ID
+   * @param {number} limit - Maximum number of revisions to return
+   * @returns {Promise<Array>} Revision summaries
+   */
+  async listRevisions(itineraryId, limit = 50) {
+    return await ItineraryRevision.find({ itineraryId })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+  }
+
+  /**
+   * Get a single revision including its snapshot
+   */
+  async getRevision(itineraryId, revision) {
+    const revisionNumber = parseInt(revision, 10);
+
+    if (Number.isNaN(revisionNumber)) {
+      throw createHttpError(400, 'Revision must be a number');
+    }
+
+    const found = await ItineraryRevision.findOne({ itineraryId, revision: revisionNumber });
+
+    if (!found) {
+      throw createHttpError(404, `Revision ${revision} not found`);
+    }
+
+    return found;
+  }
+
+  /**
+   * Structured diff between two revisions
+   * @param {number} from - Older revision number
+   * @param {number} to - Newer revision number (defaults to the latest)
+   */
+  async diffRevisions(itineraryId, from, to) {
+    if (from === undefined) {
+      throw createHttpError(400, 'Query parameter "from" is required');
+    }
+
+    const fromRevision = await this.getRevision(itineraryId, from);
+    const toRevision = to !== undefined
+      ? await this.getRevision(itineraryId, to)
+      : await ItineraryRevision.findOne({ itineraryId }).sort({ revision: -1 });
+
+    if (!toRevision) {
+      throw createHttpError(404, 'No revisions found for this itinerary');
+    }
+
+    return {
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      ...diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    };
+  }
+
+  /**
+   * Restore an earlier revision. The restored content is saved as a new revision,
+   * so the restore itself can be undone.
+   * @param {string} itineraryId - Itinerary ID
+   * @param {number} revision - Revision number to restore
+   * @param {object} context - Edit context: { userId, expectedVersion } (version from If-Match)
+   */
+  async restoreRevision(itineraryId, revision, context = {}) {
+    const target = await this.getRevision(itineraryId, revision);
+    const itinerary = await Itinerary.findById(itineraryId);
+
+    if (!itinerary) {
+      throw createHttpError(404, 'Itinerary not found');
+    }
+
+    assertVersion(itinerary, context.expectedVersion);
+
+    ItineraryRevision.TRACKED_FIELDS.forEach(field => {
+      itinerary.set(field, target.snapshot[field]);
+    });
+
+    itinerary.recordEdit(context.userId, 'revision.restore');
+    itinerary.$locals.restoredFrom = target.revision;
+    await saveWithVersionCheck(itinerary);
+
+    console.log(`✅ [REVISIONS] Restored itinerary ${itineraryId} to revision ${target.revision} as revision ${itinerary.revision}`);
+    return itinerary;
+  }
+}
+
+module.exports = new RevisionService();
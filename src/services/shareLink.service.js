@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const Route = require('../models/Route');
+const ShareLink = require('../models/ShareLink');
+const { toPublicItinerary } = require('../utils/itinerarySanitizer');
+const { createHttpError } = require('../utils/httpError');
+
+const ONE_DAY = 1000 * 60 * 60 * 24;
+
+class ShareLinkService {
+  /**
+   * Create a read-only share link for an itinerary
+   * @param {object} itinerary - Itinerary document (already access-checked)
+   * @param {object} options - { expiresAt, expiresInDays, includeChecklists }
+   * @param {string} createdBy - ID of the owner creating the link
+   * @returns {Promise<object>} The new share link
+   */
+  async createShareLink(itinerary, options = {}, createdBy) {
+    let expiresAt = null;
+
+    if (options.expiresAt) {
+      expiresAt = new Date(options.expiresAt);
+    } else if (options.expiresInDays !== undefined && options.expiresInDays !== null) {
+      const days = Number(options.expiresInDays);
+      expiresAt = Number.isFinite(days) && days > 0 ? new Date(Date.now() + days * ONE_DAY) : new Date(NaN);
+    }
+
+    if (expiresAt && (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      throw createHttpError(400, 'Expiry must be a valid date in the future');
+    }
+
+    const link = await ShareLink.create({
+      itineraryId: itinerary._id,
+      token: ShareLink.generateToken(),
+      createdBy: String(createdBy),
+      includeChecklists: options.includeChecklists === true,
+      expiresAt: expiresAt || undefined
+    });
+
+    console.log(`✅ [SHARE] Created share link for itinerary ${itinerary._id}${expiresAt ? ` (expires ${expiresAt.toISOString()})` : ''}`);
+    return link;
+  }
+
+  /**
+   * List all share links of an itinerary, newest first
+   */
+  async listShareLinks(itineraryId) {
+    return await ShareLink.find({ itineraryId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke a share link (the token stops working immediately)
+   */
+  async revokeShareLink(itineraryId, linkId) {
+    const link = mongoose.Types.ObjectId.isValid(linkId)
+      ? await ShareLink.findOne({ _id: linkId, itineraryId })
+      : null;
+
+    if (!link) {
+      throw createHttpError(404, 'Share link not found');
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      console.log(`✅ [SHARE] Revoked share link ${linkId} of itinerary ${itineraryId}`);
+    }
+
+    return link;
+  }
+
+  /**
+   * Resolve a share token to a sanitized, read-only view of the itinerary
+   * @param {string} token - Share token from the URL
+   * @returns {Promise<object>} Sanitized itinerary with the selected route overview
+   */
+  async getSharedItinerary(token) {
+    const link = await ShareLink.findOne({ token });
+
+    if (!link || link.revokedAt) {
+      throw createHttpError(404, 'Shared itinerary not found');
+    }
+
+    if (link.expiresAt && link.expiresAt <= new Date()) {
+      throw createHttpError(410, 'This share link has expired');
+    }
+
+    const itinerary = await Itinerary.findById(link.itineraryId);
+    if (!itinerary) {
+      throw createHttpError(404, 'Shared itinerary not found');
+    }
+
+    const route = itinerary.selectedRoute
+      ? await Route.findOne({ itineraryId: itinerary._id, routeType: itinerary.selectedRoute })
+        .sort({ createdAt: -1 })
+        .select('routeType totalDistance totalDuration overview estimatedCosts')
+      : null;
+
+    await ShareLink.updateOne(
+      { _id: link._id },
+      { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+    );
+
+    return {
+      ...toPublicItinerary(itinerary, { includeChecklists: link.includeChecklists }),
+      route: route ? {
+        routeType: route.routeType,
+        totalDistance: route.totalDistance,
+        totalDuration: route.totalDuration,
+        overview: route.overview,
+        estimatedCosts: route.estimatedCosts
+      } : null,
+      sharedUntil: link.expiresAt || null
+    };
+  }
+}
+
+module.exports = new ShareLinkService();
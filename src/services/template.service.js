@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Itinerary = require('../models/Itinerary');
+const itineraryCloneService = require('./itineraryClone.service');
+const { toPublicItinerary } = require('../utils/itinerarySanitizer');
+const { createHttpError } = require('../utils/httpError');
+
+/**
+ * Helper: Split a comma-separated query value into a clean list
+ */
+const toList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => v.trim()).filter(Boolean);
+};
+
+/**
+ * Helper: Escape user input for use in a RegExp
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TemplateService {
+  /**
+   * List public itineraries as trip templates
+   * @param {object} filters - Query filters
+   * @param {number} filters.duration - Exact number of days
+   * @param {number} filters.minDays - Minimum number of days
+   * @param {number} filters.maxDays - Maximum number of days
+   * @param {string} filters.region - Text matched against start/end, destinations and place addresses
+   * @param {string} filters.interests - Comma-separated interests (any match)
+   * @param {string} filters.budget - Comma-separated budget levels (budget, moderate, luxury)
+   * @param {number} filters.maxCost - Maximum total estimated cost (LKR)
+   * @param {number} filters.page - Page number (1-based)
+   * @param {number} filters.limit - Page size (max 50)
+   * @returns {Promise<object>} { templates, total, page, limit }
+   */
+  async listTemplates(filters = {}) {
+    const query = { isPublic: true };
+    const conditions = [];
+
+    const duration = parseInt(filters.duration, 10);
+    const minDays = parseInt(filters.minDays, 10);
+    const maxDays = parseInt(filters.maxDays, 10);
+    if (!Number.isNaN(duration)) {
+      query.dayPlans = { $size: duration };
+    } else {
+      if (!Number.isNaN(minDays)) {
+        conditions.push({ $expr: { $gte: [{ $size: '$dayPlans' }, minDays] } });
+      }
+      if (!Number.isNaN(maxDays)) {
+        conditions.push({ $expr: { $lte: [{ $size: '$dayPlans' }, maxDays] } });
+      }
+    }
+
+    if (filters.region) {
+      const pattern = new RegExp(escapeRegex(String(filters.region).trim()), 'i');
+      conditions.push({
+        $or: [
+          { 'startLocation.name': pattern },
+          { 'endLocation.name': pattern },
+          { 'destinations.name': pattern },
+          { 'dayPlans.places.name': pattern },
+          { 'dayPlans.places.address': pattern }
+        ]
+      });
+    }
+
+    const interests = toList(filters.interests);
+    if (interests.length > 0) {
+      query['preferences.interests'] = { $in: interests };
+    }
+
+    const budgets = toList(filters.budget);
+    if (budgets.length > 0) {
+      query['preferences.budget'] = { $in: budgets };
+    }
+
+    const maxCost = parseFloat(filters.maxCost);
+    if (!Number.isNaN(maxCost)) {
+      query['totalEstimatedCost.total'] = { $lte: maxCost };
+    }
+
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+    const [itineraries, total] = await Promise.all([
+      Itinerary.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Itinerary.countDocuments(query)
+    ]);
+
+    const templates = itineraries.map(itinerary => this.toTemplateSummary(itinerary));
+
+    return { templates, total, page, limit };
+  }
+
+  /**
+   * Get a single template with its full (sanitized) day plans
+   */
+  async getTemplate(templateId) {
+    const itinerary = await this.loadTemplate(templateId);
+    // Day notes are the owner's own, like the ones left out when a template is used
+    return toPublicItinerary(itinerary, { includeDates: false, includeNotes: false });
+  }
+
+  /**
+   * Turn a template into a new draft itinerary for the caller
+   * @param {string} templateId - Public itinerary ID
+   * @param {object} options - { userId, startDate, tripName }
+   */
+  async instantiateTemplate(templateId, { userId, startDate, tripName }) {
+    const template = await this.loadTemplate(templateId);
+
+    return await itineraryCloneService.cloneItinerary(template, {
+      userId,
+      startDate,
+      tripName: tripName || template.tripName,
+      action: 'template.instantiate',
+      fromTemplate: true
+    });
+  }
+
+  /**
+   * Helper: Load a public itinerary or throw 404
+   */
+  async loadTemplate(templateId) {
+    const itinerary = mongoose.Types.ObjectId.isValid(templateId)
+      ? await Itinerary.findOne({ _id: templateId, isPublic: true })
+      : null;
+
+    if (!itinerary) {
+      throw createHttpError(404, 'Template not found');
+    }
+
+    return itinerary;
+  }
+
+  /**
+   * Helper: Short catalogue entry for a template
+   */
+  toTemplateSummary(itinerary) {
+    const dayPlans = itinerary.dayPlans || [];
+    const placeNames = dayPlans.flatMap(day => (day.places || []).map(place => place.name));
+
+    return {
+      _id: itinerary._id,
+      tripName: itinerary.tripName,
+      tripDuration: dayPlans.length || itinerary.tripDuration,
+      startLocation: itinerary.startLocation?.name,
+      endLocation: itinerary.endLocation?.name,
+      destinations: (itinerary.destinations || []).map(d => d.name),
+      interests: itinerary.preferences?.interests || [],
+      budget: itinerary.preferences?.budget,
+      travelStyle: itinerary.preferences?.travelStyle,
+      placesCount: placeNames.length,
+      highlights: placeNames.slice(0, 5),
+      totalEstimatedCost: itinerary.totalEstimatedCost?.total || 0
+    };
+  }
+}
+
+module.exports = new TemplateService();
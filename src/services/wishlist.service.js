@@ -0,0 +1,120 @@
+const googlePlacesService = require('./googlePlaces.service');
+const dayPlanService = require('./dayPlan.service');
+const { createHttpError } = require('../utils/httpError');
+
+class WishlistService {
+  /**
+   * Add a place to the itinerary's unscheduled bucket, resolved from its Google place ID
+   * @param {string} itineraryId - Itinerary ID
+   * @param {string} placeId - Google Place ID
+   * @param {object} context - Edit context: { userId, expectedVersion }
+   * @returns {Promise<object>} Updated itinerary and the added place
+   */
+  async addPlace(itineraryId, placeId, context = {}) {
+    if (!placeId) {
+      throw createHttpError(400, 'placeId is required');
+    }
+
+    const itinerary = await dayPlanService.loadItinerary(itineraryId, context);
+
+    const alreadyAdded = itinerary.unscheduledPlaces.some(p => p.placeId === placeId);
+    if (alreadyAdded) {
+      throw createHttpError(409, 'Place is already in the wishlist');
+    }
+
+    let details;
+    try {
+      details = await googlePlacesService.getPlaceDetails(placeId);
+    } catch (error) {
+      throw createHttpError(404, `Place ${placeId} could not be resolved: ${error.message}`);
+    }
+
+    itinerary.unscheduledPlaces.push({
+      ...googlePlacesService.toItineraryPlace(details),
+      addedAt: new Date()
+    });
+    const place = itinerary.unscheduledPlaces[itinerary.unscheduledPlaces.length - 1];
+
+    await dayPlanService.saveItinerary(itinerary, context, 'wishlist.add');
+    console.log(`✅ [WISHLIST] Added ${place.name} to itinerary ${itineraryId}`);
+
+    return { itinerary, place };
+  }
+
+  /**
+   * Remove a place from the unscheduled bucket
+   */
+  async removePlace(itineraryId, itemId, context = {}) {
+    const itinerary = await dayPlanService.loadItinerary(itineraryId, context);
+    const place = this.findPlace(itinerary, itemId);
+
+    itinerary.unscheduledPlaces.pull(place._id);
+
+    await dayPlanService.saveItinerary(itinerary, context, 'wishlist.remove');
+    console.log(`✅ [WISHLIST] Removed ${place.name} from itinerary ${itineraryId}`);
+
+    return { itinerary, place };
+  }
+
+  /**
+   * Schedule a wishlist place onto a day
+   * @param {number} dayNumber - Day to add the place to
+   * @param {number} position - Optional index in the day's places (appends by default)
+   */
+  async schedulePlace(itineraryId, itemId, dayNumber, position, context = {}) {
+    const itinerary = await dayPlanService.loadItinerary(itineraryId, context);
+    const place = this.findPlace(itinerary, itemId);
+    const day = dayPlanService.findDay(itinerary, dayNumber);
+
+    const { fromDay, addedAt, ...placeData } = place.toObject();
+    itinerary.unscheduledPlaces.pull(place._id);
+
+    const index = dayPlanService.clampPosition(position, day.places.length);
+    day.places.splice(index, 0, placeData);
+
+    await dayPlanService.saveItinerary(itinerary, context, 'wishlist.schedule');
+    console.log(`✅ [WISHLIST] Scheduled ${place.name} on day ${dayNumber} of itinerary ${itineraryId}`);
+
+    return { itinerary, day, place: day.places[index] };
+  }
+
+  /**
+   * Move a place from a day back into the unscheduled bucket
+   */
+  async unschedulePlace(itineraryId, dayNumber, itemId, context = {}) {
+    const itinerary = await dayPlanService.loadItinerary(itineraryId, context);
+    const day = dayPlanService.findDay(itinerary, dayNumber);
+    const place = dayPlanService.findItem(day, 'places', itemId);
+
+    day.places.pull(place._id);
+    itinerary.unscheduledPlaces.push({
+      ...place.toObject(),
+      fromDay: day.dayNumber,
+      addedAt: new Date()
+    });
+
+    await dayPlanService.saveItinerary(itinerary, context, 'wishlist.unschedule');
+    console.log(`✅ [WISHLIST] Unscheduled ${place.name} from day ${dayNumber} of itinerary ${itineraryId}`);
+
+    return {
+      itinerary,
+      day,
+      place: itinerary.unscheduledPlaces[itinerary.unscheduledPlaces.length - 1]
+    };
+  }
+
+  /**
+   * Helper: Find a wishlist place by its _id or throw 404
+   */
+  findPlace(itinerary, itemId) {
+    const place = itinerary.unscheduledPlaces.id(itemId);
+
+    if (!place) {
+      throw createHttpError(404, 'Wishlist place not found');
+    }
+
+    return place;
+  }
+}
+
+module.exports = new WishlistService();
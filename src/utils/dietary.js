@@ -0,0 +1,102 @@
+/**
+ * Dietary preferences (preferences.dietary) checked against Places API restaurants.
+ *
+ * - types / keywords / servesVegetarianFood: evidence that a place caters for the diet
+ * - excludeTypes / excludeKeywords: places that don't suit it at all
+ * Restaurants without evidence either way may still be used, but confirmed ones come first.
+ */
+
+const DIETARY_RULES = {
+  vegetarian: {
+    types: ['vegetarian_restaurant', 'vegan_restaurant'],
+    keywords: ['vegetarian', 'veg', 'vegan'],
+    servesVegetarianFood: true,
+    excludeTypes: ['steak_house', 'barbecue_restaurant'],
+    excludeKeywords: []
+  },
+  vegan: {
+    types: ['vegan_restaurant'],
+    keywords: ['vegan', 'plant based'],
+    servesVegetarianFood: false,
+    excludeTypes: ['steak_house', 'barbecue_restaurant', 'seafood_restaurant'],
+    excludeKeywords: []
+  },
+  halal: {
+    types: ['middle_eastern_restaurant', 'lebanese_restaurant', 'turkish_restaurant'],
+    keywords: ['halal', 'muslim hotel'],
+    servesVegetarianFood: false,
+    excludeTypes: ['bar', 'pub', 'wine_bar'],
+    excludeKeywords: ['pork']
+  },
+  seafood_free: {
+    types: [],
+    keywords: [],
+    servesVegetarianFood: false,
+    excludeTypes: ['seafood_restaurant', 'sushi_restaurant'],
+    excludeKeywords: ['seafood', 'fish', 'crab', 'lobster', 'prawn', 'sushi']
+  }
+};
+
+const DIETARY_OPTIONS = Object.keys(DIETARY_RULES);
+
+/**
+ * Validate dietary preferences sent by a client
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateDietary = (dietary) => {
+  if (dietary === undefined || dietary === null) return null;
+  if (!Array.isArray(dietary) || dietary.some(option => !DIETARY_OPTIONS.includes(option))) {
+    return `dietary must be a list of: ${DIETARY_OPTIONS.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Google place types worth searching for to satisfy the diets
+ */
+const getDietarySearchTypes = (dietary = []) => [...new Set(
+  dietary.flatMap(option => DIETARY_RULES[option]?.types || [])
+)];
+
+/**
+ * How a place fits the traveller's diets
+ * @param {object} place - Places API place
+ * @param {Array<string>} dietary - preferences.dietary
+ * @returns {object} { suitable: not ruled out, confirmed: every diet has evidence }
+ */
+const checkDietary = (place, dietary = []) => {
+  const types = place.types || [];
+  const name = (place.displayName?.text || place.name || '').toLowerCase();
+  const mentions = (keywords) => keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(name));
+
+  let suitable = true;
+  let confirmed = true;
+
+  dietary.forEach(option => {
+    const rule = DIETARY_RULES[option];
+    if (!rule) return;
+
+    if (types.some(type => rule.excludeTypes.includes(type)) || mentions(rule.excludeKeywords)) {
+      suitable = false;
+    }
+
+    // Diets that only exclude (seafood-free) need no positive evidence
+    const needsEvidence = rule.types.length > 0 || rule.keywords.length > 0;
+    const hasEvidence = types.some(type => rule.types.includes(type)) ||
+      mentions(rule.keywords) ||
+      (rule.servesVegetarianFood && place.servesVegetarianFood === true);
+
+    if (needsEvidence && !hasEvidence) {
+      confirmed = false;
+    }
+  });
+
+  return { suitable, confirmed: suitable && confirmed };
+};
+
+module.exports = {
+  DIETARY_OPTIONS,
+  validateDietary,
+  getDietarySearchTypes,
+  checkDietary
+};
@@ -0,0 +1,33 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Helper: Read latitude/longitude from a flat location or a place with `location`
+ */
+const toCoordinates = (point) => {
+  if (!point) return null;
+  const source = point.location && point.location.latitude !== undefined ? point.location : point;
+  if (typeof source.latitude !== 'number' || typeof source.longitude !== 'number') return null;
+  return { latitude: source.latitude, longitude: source.longitude };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {object} from - { latitude, longitude } or { location: { latitude, longitude } }
+ * @param {object} to - Same shape as `from`
+ * @returns {number} Distance in meters (Infinity when either point has no coordinates)
+ */
+const haversineDistance = (from, to) => {
+  const a = toCoordinates(from);
+  const b = toCoordinates(to);
+  if (!a || !b) return Infinity;
+
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+module.exports = { toCoordinates, haversineDistance };
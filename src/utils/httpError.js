@@ -0,0 +1,37 @@
+/**
+ * Create an Error that carries an HTTP status code.
+ * Controllers (and the global error handler in index.js) read `status`
+ * to decide which response code to send.
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {object} details - Optional extra data returned to the client
+ * @returns {Error}
+ */
+const createHttpError = (status, message, details = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Send an error response using the error's HTTP status (500 if it has none).
+ * Unexpected errors keep the generic fallback message, matching the
+ * `{ success, message, error }` shape used by every controller.
+ * @param {object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} fallbackMessage - Message used for unexpected (500) errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? fallbackMessage : error.message,
+    error: error.message,
+    ...(error.details && { data: error.details })
+  });
+};
+
+module.exports = { createHttpError, sendError };
@@ -0,0 +1,279 @@
+/**
+ * Interest taxonomy: maps WanderLanka trip interests to weighted kinds of places,
+ * and each kind to Google Places types.
+ *
+ * - searchTypes: types sent as `includedTypes` to Places searchNearby
+ * - matchTypes: types seen on returned places (may include response-only types)
+ * - keywords: name fragments for kinds Google has no type for (tea estates, Buddhist temples…)
+ * - setting: 'indoor' or 'outdoor', used to mix a day's activities
+ */
+
+const PLACE_KINDS = {
+  temple: {
+    searchTypes: ['hindu_temple', 'tourist_attraction'],
+    matchTypes: ['hindu_temple', 'buddhist_temple', 'place_of_worship'],
+    keywords: ['temple', 'vihara', 'viharaya', 'dagoba', 'stupa', 'kovil', 'devalaya', 'maha seya'],
+    setting: 'indoor'
+  },
+  place_of_worship: {
+    searchTypes: ['church', 'mosque'],
+    matchTypes: ['church', 'mosque', 'synagogue', 'place_of_worship'],
+    keywords: ['church', 'mosque', 'cathedral', 'shrine'],
+    setting: 'indoor'
+  },
+  heritage_site: {
+    searchTypes: ['historical_place', 'monument', 'cultural_landmark'],
+    matchTypes: ['historical_place', 'historical_landmark', 'monument', 'cultural_landmark'],
+    keywords: ['fort', 'ruins', 'ancient', 'kingdom', 'citadel', 'rock fortress', 'palace'],
+    setting: 'outdoor'
+  },
+  museum: {
+    searchTypes: ['museum'],
+    matchTypes: ['museum'],
+    keywords: ['museum'],
+    setting: 'indoor'
+  },
+  art_gallery: {
+    searchTypes: ['art_gallery'],
+    matchTypes: ['art_gallery', 'performing_arts_theater'],
+    keywords: ['gallery'],
+    setting: 'indoor'
+  },
+  tea_estate: {
+    searchTypes: ['farm', 'tourist_attraction'],
+    matchTypes: ['farm'],
+    keywords: ['tea estate', 'tea factory', 'tea plantation', 'tea centre', 'tea center'],
+    setting: 'outdoor'
+  },
+  beach: {
+    searchTypes: ['beach'],
+    matchTypes: ['beach'],
+    keywords: ['beach', 'bay', 'lagoon'],
+    setting: 'outdoor'
+  },
+  safari_park: {
+    searchTypes: ['national_park', 'wildlife_park', 'wildlife_refuge'],
+    matchTypes: ['national_park', 'wildlife_park', 'wildlife_refuge'],
+    keywords: ['national park', 'safari', 'sanctuary', 'elephant'],
+    setting: 'outdoor'
+  },
+  zoo: {
+    searchTypes: ['zoo', 'aquarium'],
+    matchTypes: ['zoo', 'aquarium'],
+    keywords: ['zoo', 'aquarium', 'turtle hatchery'],
+    setting: 'outdoor'
+  },
+  waterfall: {
+    searchTypes: ['tourist_attraction'],
+    matchTypes: ['natural_feature'],
+    keywords: ['falls', 'waterfall'],
+    setting: 'outdoor'
+  },
+  viewpoint: {
+    searchTypes: ['observation_deck', 'hiking_area'],
+    matchTypes: ['observation_deck'],
+    keywords: ['viewpoint', 'view point', "world's end", 'peak', 'rock'],
+    setting: 'outdoor'
+  },
+  hiking_trail: {
+    searchTypes: ['hiking_area'],
+    matchTypes: ['hiking_area'],
+    keywords: ['trail', 'hike', 'trek'],
+    setting: 'outdoor'
+  },
+  garden: {
+    searchTypes: ['botanical_garden', 'garden', 'park'],
+    matchTypes: ['botanical_garden', 'garden', 'park'],
+    keywords: ['botanical', 'garden'],
+    setting: 'outdoor'
+  },
+  adventure_sports: {
+    searchTypes: ['adventure_sports_center', 'water_park'],
+    matchTypes: ['adventure_sports_center', 'water_park', 'amusement_park'],
+    keywords: ['rafting', 'surf', 'diving', 'snorkel', 'zipline', 'kayak'],
+    setting: 'outdoor'
+  },
+  market: {
+    searchTypes: ['market', 'shopping_mall'],
+    matchTypes: ['market', 'shopping_mall', 'store'],
+    keywords: ['market', 'bazaar', 'handicraft'],
+    setting: 'indoor'
+  },
+  spa: {
+    searchTypes: ['spa'],
+    matchTypes: ['spa'],
+    keywords: ['ayurveda', 'spa', 'wellness'],
+    setting: 'indoor'
+  },
+  nightlife: {
+    searchTypes: ['bar', 'night_club'],
+    matchTypes: ['bar', 'night_club'],
+    keywords: ['bar', 'lounge', 'club'],
+    setting: 'indoor',
+    dining: true
+  },
+  restaurant: {
+    searchTypes: ['restaurant'],
+    matchTypes: ['restaurant', 'food'],
+    keywords: ['restaurant', 'kitchen'],
+    setting: 'indoor',
+    dining: true
+  },
+  cafe: {
+    searchTypes: ['cafe', 'bakery'],
+    matchTypes: ['cafe', 'bakery'],
+    keywords: ['cafe', 'bakery'],
+    setting: 'indoor',
+    dining: true
+  },
+  landmark: {
+    searchTypes: ['tourist_attraction'],
+    matchTypes: ['tourist_attraction'],
+    keywords: []
+  }
+};
+
+// Weight (0-1) of each kind for an interest
+const INTERESTS = {
+  culture: { temple: 1.0, heritage_site: 0.9, museum: 0.8, place_of_worship: 0.6, art_gallery: 0.5 },
+  history: { heritage_site: 1.0, museum: 0.9, temple: 0.7 },
+  nature: { waterfall: 1.0, viewpoint: 0.8, tea_estate: 0.8, garden: 0.8, safari_park: 0.7, hiking_trail: 0.6, beach: 0.5 },
+  wildlife: { safari_park: 1.0, zoo: 0.6 },
+  beach: { beach: 1.0, adventure_sports: 0.4 },
+  adventure: { adventure_sports: 1.0, hiking_trail: 1.0, viewpoint: 0.7, safari_park: 0.6 },
+  food: { restaurant: 1.0, cafe: 0.6, market: 0.6, tea_estate: 0.5 },
+  shopping: { market: 1.0 },
+  nightlife: { nightlife: 1.0 },
+  relaxation: { spa: 1.0, beach: 0.8, garden: 0.6 },
+  sightseeing: { landmark: 1.0, viewpoint: 0.7, heritage_site: 0.6 }
+};
+
+// Other spellings clients send
+const INTEREST_ALIASES = {
+  beaches: 'beach',
+  heritage: 'history',
+  historical: 'history',
+  religion: 'culture',
+  religious: 'culture',
+  spiritual: 'culture',
+  hiking: 'adventure',
+  trekking: 'adventure',
+  safari: 'wildlife',
+  animals: 'wildlife',
+  wellness: 'relaxation',
+  spa: 'relaxation',
+  cuisine: 'food',
+  culinary: 'food',
+  tourist_attraction: 'sightseeing'
+};
+
+const DEFAULT_INTERESTS = ['sightseeing', 'culture', 'nature'];
+const UNMATCHED_WEIGHT = 0.3; // places returned by a search that match no interest kind
+const MAX_SEARCH_TYPES = 20;
+
+/**
+ * Normalize client interests to taxonomy keys (unknown ones are dropped)
+ * @param {Array<string>} interests - e.g. ['Culture', 'beaches', 'food']
+ * @returns {Array<string>} Known interests, or the defaults when none are known
+ */
+const resolveInterests = (interests = []) => {
+  const resolved = (interests || [])
+    .map(interest => String(interest).trim().toLowerCase())
+    .map(interest => INTEREST_ALIASES[interest] || interest)
+    .filter(interest => INTERESTS[interest]);
+
+  return resolved.length > 0 ? [...new Set(resolved)] : DEFAULT_INTERESTS;
+};
+
+/**
+ * Google place types to search for, heaviest first
+ * @param {Array<string>} interests - Client interests
+ * @param {object} options - { includeDining } (restaurants, cafes, bars; off for activities)
+ * @returns {Array<string>} Place types for `includedTypes`
+ */
+const getSearchTypes = (interests, { includeDining = false } = {}) => {
+  const typeWeights = new Map();
+
+  resolveInterests(interests).forEach(interest => {
+    Object.entries(INTERESTS[interest]).forEach(([kind, weight]) => {
+      const { searchTypes, dining } = PLACE_KINDS[kind];
+      if (dining && !includeDining) return;
+
+      searchTypes.forEach(type => {
+        typeWeights.set(type, Math.max(typeWeights.get(type) || 0, weight));
+      });
+    });
+  });
+
+  return [...typeWeights.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SEARCH_TYPES)
+    .map(([type]) => type);
+};
+
+/**
+ * Helper: Does a place belong to a kind (by type or name keyword)?
+ */
+const matchesKind = (place, kind) => {
+  const { matchTypes, keywords } = PLACE_KINDS[kind];
+  const types = place.types || [];
+  const name = (place.displayName?.text || place.name || '').toLowerCase();
+
+  return types.some(type => matchTypes.includes(type)) ||
+    keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(name));
+};
+
+/**
+ * How well a place fits the traveller's interests
+ * @param {object} place - Places API place (or itinerary place with `types` and `name`)
+ * @param {Array<string>} interests - Client interests
+ * @returns {object} { weight, interest, kind } (interest/kind null when nothing matched)
+ */
+const matchPlace = (place, interests) => {
+  let best = { weight: UNMATCHED_WEIGHT, interest: null, kind: null };
+
+  resolveInterests(interests).forEach(interest => {
+    Object.entries(INTERESTS[interest]).forEach(([kind, weight]) => {
+      if (weight > best.weight && matchesKind(place, kind)) {
+        best = { weight, interest, kind };
+      }
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Indoor or outdoor, from the matched kind or the first kind the place belongs to
+ * @param {object} place - Places API place
+ * @param {object} match - Optional result of matchPlace
+ * @returns {string|null} 'indoor', 'outdoor' or null when unknown
+ */
+const getSetting = (place, match = null) => {
+  const kind = match?.kind && PLACE_KINDS[match.kind].setting
+    ? match.kind
+    : Object.keys(PLACE_KINDS).find(k => PLACE_KINDS[k].setting && matchesKind(place, k));
+
+  return kind ? PLACE_KINDS[kind].setting : null;
+};
+
+/**
+ * Sort places by interest fit weighted by rating (best first)
+ * @returns {Array<object>} [{ place, match, score }]
+ */
+const rankPlaces = (places, interests) => places
+  .map(place => {
+    const match = matchPlace(place, interests);
+    return { place, match, score: match.weight * (place.rating || 3.5) };
+  })
+  .sort((a, b) => b.score - a.score);
+
+module.exports = {
+  PLACE_KINDS,
+  INTERESTS,
+  resolveInterests,
+  getSearchTypes,
+  matchPlace,
+  getSetting,
+  rankPlaces
+};
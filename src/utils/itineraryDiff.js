@@ -0,0 +1,144 @@
+/**
+ * Structured diff between two itinerary snapshots (see ItineraryRevision).
+ * Compares trip details, days (by dayNumber), the places of each day
+ * and the unscheduled places (by placeId) and the estimated costs.
+ */
+
+const TRIP_FIELDS = ['tripName', 'startDate', 'endDate', 'status', 'selectedRoute'];
+const COST_FIELDS = ['accommodation', 'food', 'activities', 'transportation', 'total'];
+
+/**
+ * Helper: Compare two values that may be dates, ObjectIds or primitives
+ */
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a ?? '') === String(b ?? '');
+};
+
+/**
+ * Helper: Short description of a place for diff output
+ */
+const describePlace = (place) => ({
+  placeId: place.placeId,
+  name: place.name
+});
+
+/**
+ * Diff the places of one day
+ */
+const diffPlaces = (fromPlaces = [], toPlaces = []) => {
+  const fromIds = fromPlaces.map(p => p.placeId);
+  const toIds = toPlaces.map(p => p.placeId);
+
+  const added = toPlaces.filter(p => !fromIds.includes(p.placeId)).map(describePlace);
+  const removed = fromPlaces.filter(p => !toIds.includes(p.placeId)).map(describePlace);
+
+  // Same places kept, but in a different order
+  const keptFrom = fromIds.filter(id => toIds.includes(id));
+  const keptTo = toIds.filter(id => fromIds.includes(id));
+  const reordered = keptFrom.some((id, idx) => id !== keptTo[idx]);
+
+  return { added, removed, reordered };
+};
+
+/**
+ * Diff the day plans of two snapshots
+ */
+const diffDays = (fromDays = [], toDays = []) => {
+  const fromByNumber = new Map(fromDays.map(d => [d.dayNumber, d]));
+  const toByNumber = new Map(toDays.map(d => [d.dayNumber, d]));
+
+  const added = toDays.filter(d => !fromByNumber.has(d.dayNumber)).map(d => d.dayNumber);
+  const removed = fromDays.filter(d => !toByNumber.has(d.dayNumber)).map(d => d.dayNumber);
+  const changed = [];
+
+  toDays.forEach(toDay => {
+    const fromDay = fromByNumber.get(toDay.dayNumber);
+    if (!fromDay) return;
+
+    const dayChanges = { dayNumber: toDay.dayNumber };
+
+    if (!sameValue(fromDay.date, toDay.date)) {
+      dayChanges.date = { from: fromDay.date, to: toDay.date };
+    }
+
+    const places = diffPlaces(fromDay.places, toDay.places);
+    if (places.added.length || places.removed.length || places.reordered) {
+      dayChanges.places = places;
+    }
+
+    ['activities', 'meals'].forEach(collection => {
+      const fromCount = fromDay[collection]?.length || 0;
+      const toCount = toDay[collection]?.length || 0;
+      if (JSON.stringify(fromDay[collection] || []) !== JSON.stringify(toDay[collection] || [])) {
+        dayChanges[collection] = { from: fromCount, to: toCount };
+      }
+    });
+
+    if ((fromDay.notes || '') !== (toDay.notes || '')) {
+      dayChanges.notes = { from: fromDay.notes || '', to: toDay.notes || '' };
+    }
+
+    if (Object.keys(dayChanges).length > 1) {
+      changed.push(dayChanges);
+    }
+  });
+
+  return { added, removed, changed };
+};
+
+/**
+ * Diff the estimated costs of two snapshots
+ */
+const diffCosts = (fromCosts = {}, toCosts = {}) => {
+  const changes = {};
+
+  COST_FIELDS.forEach(field => {
+    const from = fromCosts?.[field] || 0;
+    const to = toCosts?.[field] || 0;
+    if (from !== to) {
+      changes[field] = { from, to, delta: to - from };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Diff two itinerary snapshots
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {object} { trip, days, unscheduledPlaces, costs, hasChanges }
+ */
+const diffSnapshots = (from = {}, to = {}) => {
+  const trip = {};
+  TRIP_FIELDS.forEach(field => {
+    if (!sameValue(from[field], to[field])) {
+      trip[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  ['startLocation', 'endLocation'].forEach(field => {
+    if (!sameValue(from[field]?.name, to[field]?.name)) {
+      trip[field] = { from: from[field]?.name, to: to[field]?.name };
+    }
+  });
+
+  const days = diffDays(from.dayPlans, to.dayPlans);
+  const unscheduledPlaces = diffPlaces(from.unscheduledPlaces, to.unscheduledPlaces);
+  const costs = diffCosts(from.totalEstimatedCost, to.totalEstimatedCost);
+
+  const hasChanges = Object.keys(trip).length > 0 ||
+    days.added.length > 0 ||
+    days.removed.length > 0 ||
+    days.changed.length > 0 ||
+    unscheduledPlaces.added.length > 0 ||
+    unscheduledPlaces.removed.length > 0 ||
+    Object.keys(costs).length > 0;
+
+  return { trip, days, unscheduledPlaces, costs, hasChanges };
+};
+
+module.exports = { diffSnapshots };
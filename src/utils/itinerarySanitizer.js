@@ -0,0 +1,61 @@
+/**
+ * Public views of an itinerary (templates, share links).
+ * Never includes the owner, collaborators, bookings, edit history or wishlist.
+ */
+
+// Preferences that describe the trip, not the travellers (party, dietary, budget
+// amounts and exclusions stay private)
+const PUBLIC_PREFERENCE_FIELDS = ['travelStyle', 'interests', 'budget', 'accommodation', 'transportation'];
+
+/**
+ * Copy only the public preference fields
+ * @param {object} preferences - Plain preferences object
+ * @returns {object}
+ */
+const toPublicPreferences = (preferences) => Object.fromEntries(PUBLIC_PREFERENCE_FIELDS
+  .filter(field => preferences?.[field] !== undefined)
+  .map(field => [field, preferences[field]]));
+
+/**
+ * Build a sanitized plain-object copy of an itinerary
+ * @param {object} itinerary - Itinerary document
+ * @param {object} options
+ * @param {boolean} options.includeDates - Keep trip, day and destination dates (default true)
+ * @param {boolean} options.includeChecklists - Keep day checklists (default false)
+ * @param {boolean} options.includeNotes - Keep the owner's day notes (default true)
+ * @returns {object} Sanitized itinerary
+ */
+const toPublicItinerary = (itinerary, { includeDates = true, includeChecklists = false, includeNotes = true } = {}) => {
+  const data = itinerary.toObject({ virtuals: true, depopulate: true });
+
+  const dayPlans = (data.dayPlans || []).map(day => {
+    const { checklists, date, notes, ...rest } = day;
+    return {
+      ...rest,
+      ...(includeDates && { date }),
+      ...(includeNotes && { notes }),
+      ...(includeChecklists && { checklists: checklists || [] })
+    };
+  });
+
+  const destinations = (data.destinations || []).map(destination => {
+    const { arrivalDate, departureDate, ...rest } = destination;
+    return includeDates ? { ...rest, arrivalDate, departureDate } : rest;
+  });
+
+  return {
+    _id: data._id,
+    tripName: data.tripName,
+    tripDuration: dayPlans.length || data.tripDuration,
+    ...(includeDates && { startDate: data.startDate, endDate: data.endDate }),
+    startLocation: data.startLocation,
+    endLocation: data.endLocation,
+    destinations,
+    preferences: toPublicPreferences(data.preferences),
+    dayPlans,
+    selectedRoute: data.selectedRoute,
+    totalEstimatedCost: data.totalEstimatedCost
+  };
+};
+
+module.exports = { PUBLIC_PREFERENCE_FIELDS, toPublicPreferences, toPublicItinerary };
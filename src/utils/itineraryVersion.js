@@ -0,0 +1,97 @@
+/**
+ * Version tokens for optimistic concurrency on itineraries.
+ * The token is the itinerary's `revision` number, sent as the ETag header
+ * and expected back in If-Match on edits.
+ */
+const { createHttpError } = require('./httpError');
+
+/**
+ * Format an itinerary's version as an ETag value
+ */
+const formatETag = (itinerary) => `"${itinerary.revision || 0}"`;
+
+/**
+ * Set the ETag header for an itinerary response
+ */
+const setVersionHeader = (res, itinerary) => {
+  if (itinerary) {
+    res.set('ETag', formatETag(itinerary));
+  }
+};
+
+/**
+ * Read the expected version from the If-Match header.
+ * Returns null when the header is missing or '*' (no version check).
+ * @param {object} req - Express request
+ * @returns {number|null}
+ */
+const parseIfMatch = (req) => {
+  const header = req.headers['if-match'];
+  if (!header || header.trim() === '*') return null;
+
+  // Accept "3", W/"3" or a bare 3; use the first value of a list
+  const value = header.split(',')[0].trim().replace(/^W\//, '').replace(/"/g, '');
+  const version = parseInt(value, 10);
+
+  if (Number.isNaN(version)) {
+    throw createHttpError(400, 'Invalid If-Match header. Send the ETag returned by GET /:id');
+  }
+
+  return version;
+};
+
+/**
+ * Helper: Build the 409 error returned when the client's copy is stale
+ */
+const conflictError = (current) => createHttpError(
+  409,
+  'Itinerary was changed by someone else. Reload it and apply your changes again.',
+  {
+    currentVersion: current ? current.revision : null,
+    etag: current ? formatETag(current) : null,
+    itinerary: current
+  }
+);
+
+/**
+ * Throw 409 if the loaded itinerary is not at the expected version.
+ * Also makes the following save conditional on the version, so a write that
+ * lands between this check and the save is detected too (content saves are
+ * always conditional on the loaded revision; see the Itinerary pre-save hook).
+ * @param {object} itinerary - Loaded itinerary document
+ * @param {number|null} expectedVersion - Version from If-Match (null skips the check)
+ */
+const assertVersion = (itinerary, expectedVersion) => {
+  if (expectedVersion === null || expectedVersion === undefined) return;
+
+  if ((itinerary.revision || 0) !== expectedVersion) {
+    throw conflictError(itinerary);
+  }
+
+  itinerary.$where = { revision: itinerary.revision };
+};
+
+/**
+ * Save an itinerary, turning a lost version race into a 409 with the current server copy
+ * @param {object} itinerary - Itinerary document (see assertVersion)
+ */
+const saveWithVersionCheck = async (itinerary) => {
+  try {
+    await itinerary.save();
+    itinerary.$where = null;
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError' && itinerary.$where?.revision !== undefined) {
+      const current = await itinerary.constructor.findById(itinerary._id);
+      throw conflictError(current);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  formatETag,
+  setVersionHeader,
+  parseIfMatch,
+  assertVersion,
+  saveWithVersionCheck
+};
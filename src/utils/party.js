@@ -0,0 +1,132 @@
+/**
+ * Travelling party helpers (preferences.party).
+ * An itinerary without a party is treated as one adult, so costs stay as before.
+ */
+
+const YOUNG_CHILD_AGE = 6; // under this age: free entry, small meals, shorter activities
+const CHILD_AGE = 12; // under this age: child tickets and meal portions
+const ACCESSIBILITY_NEEDS = ['wheelchair', 'limited_mobility', 'visual', 'hearing'];
+
+// Vehicle needed for the party size, with fuel and toll multipliers relative to a car
+const VEHICLES = [
+  { type: 'car', maxPassengers: 3, fuelFactor: 1, tollFactor: 1 },
+  { type: 'van', maxPassengers: 6, fuelFactor: 1.3, tollFactor: 1.5 },
+  { type: 'minibus', maxPassengers: 12, fuelFactor: 1.8, tollFactor: 2 },
+  { type: 'coach', maxPassengers: Infinity, fuelFactor: 2.5, tollFactor: 3 }
+];
+
+/**
+ * Helper: Party with defaults filled in
+ */
+const normalizeParty = (party) => ({
+  adults: party?.adults ?? 1,
+  seniors: party?.seniors ?? 0,
+  children: (party?.children || []).map(child => ({ age: child.age })),
+  accessibilityNeeds: party?.accessibilityNeeds || []
+});
+
+/**
+ * Validate a party sent by a client
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateParty = (party) => {
+  if (party === undefined || party === null) return null;
+  if (typeof party !== 'object') return 'party must be an object';
+
+  const { adults, seniors, children, accessibilityNeeds } = party;
+  const isCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+
+  if (!isCount(adults) || !isCount(seniors)) {
+    return 'party.adults and party.seniors must be whole numbers of 0 or more';
+  }
+  if (children !== undefined && (!Array.isArray(children) ||
+    children.some(child => !Number.isInteger(child?.age) || child.age < 0 || child.age > 17))) {
+    return 'party.children must be a list of { age } between 0 and 17';
+  }
+  if (accessibilityNeeds !== undefined && (!Array.isArray(accessibilityNeeds) ||
+    accessibilityNeeds.some(need => !ACCESSIBILITY_NEEDS.includes(need)))) {
+    return `party.accessibilityNeeds must only contain: ${ACCESSIBILITY_NEEDS.join(', ')}`;
+  }
+
+  const { adults: a, seniors: s, children: c } = normalizeParty(party);
+  if (a + s + c.length === 0) {
+    return 'party must include at least one traveller';
+  }
+
+  return null;
+};
+
+/**
+ * Number of travellers (at least 1)
+ */
+const getPartySize = (party) => {
+  const { adults, seniors, children } = normalizeParty(party);
+  return Math.max(1, adults + seniors + children.length);
+};
+
+/**
+ * Multiplier for one person's meal cost (young children eat small portions)
+ */
+const getMealCostFactor = (party) => {
+  const { adults, seniors, children } = normalizeParty(party);
+  const childPortions = children.reduce((sum, { age }) => (
+    sum + (age < YOUNG_CHILD_AGE ? 0.3 : age < CHILD_AGE ? 0.5 : 1)
+  ), 0);
+  return Math.max(1, adults + seniors + childPortions);
+};
+
+/**
+ * Multiplier for one person's entrance ticket (young children go free, children pay half)
+ */
+const getEntranceCostFactor = (party) => {
+  const { adults, seniors, children } = normalizeParty(party);
+  const childTickets = children.reduce((sum, { age }) => (
+    sum + (age < YOUNG_CHILD_AGE ? 0 : age < CHILD_AGE ? 0.5 : 1)
+  ), 0);
+  return Math.max(1, adults + seniors + childTickets);
+};
+
+/**
+ * Is anyone in the party a young child?
+ */
+const hasYoungChildren = (party) => normalizeParty(party).children.some(({ age }) => age < YOUNG_CHILD_AGE);
+
+/**
+ * Does the party need step-free (wheelchair accessible) places?
+ */
+const needsStepFreeAccess = (party) => normalizeParty(party).accessibilityNeeds
+  .some(need => need === 'wheelchair' || need === 'limited_mobility');
+
+/**
+ * Smallest vehicle that seats the party
+ */
+const getVehicle = (party) => {
+  const size = getPartySize(party);
+  return VEHICLES.find(vehicle => size <= vehicle.maxPassengers);
+};
+
+/**
+ * Move places the provider reports as wheelchair accessible to the front and
+ * known inaccessible ones to the back (order is otherwise kept)
+ * @param {Array<object>} ranked - rankPlaces() entries ({ place, ... })
+ */
+const preferAccessiblePlaces = (ranked) => {
+  const accessRank = ({ place }) => {
+    const entrance = place.accessibilityOptions?.wheelchairAccessibleEntrance;
+    return entrance === true ? 0 : entrance === false ? 2 : 1;
+  };
+
+  return [...ranked].sort((a, b) => accessRank(a) - accessRank(b));
+};
+
+module.exports = {
+  ACCESSIBILITY_NEEDS,
+  validateParty,
+  getPartySize,
+  getMealCostFactor,
+  getEntranceCostFactor,
+  hasYoungChildren,
+  needsStepFreeAccess,
+  getVehicle,
+  preferAccessiblePlaces
+};
@@ -0,0 +1,93 @@
+/**
+ * Encoded polyline helpers (Google's polyline algorithm, 5 decimal places).
+ * Encoded polylines store each point relative to the previous one, so two of them
+ * can't be joined as strings; decode, join the points and encode again.
+ */
+
+const PRECISION = 1e5;
+
+/**
+ * Decode an encoded polyline
+ * @param {string} encoded
+ * @returns {Array<object>} [{ latitude, longitude }]
+ */
+const decode = (encoded = '') => {
+  const points = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    latitude += nextValue();
+    longitude += nextValue();
+    points.push({ latitude: latitude / PRECISION, longitude: longitude / PRECISION });
+  }
+
+  return points;
+};
+
+/**
+ * Encode points as a polyline
+ * @param {Array<object>} points - [{ latitude, longitude }]
+ * @returns {string}
+ */
+const encode = (points = []) => {
+  let previousLatitude = 0;
+  let previousLongitude = 0;
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let output = '';
+    while (remaining >= 0x20) {
+      output += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return output + String.fromCharCode(remaining + 63);
+  };
+
+  return points.map(({ latitude, longitude }) => {
+    const lat = Math.round(latitude * PRECISION);
+    const lng = Math.round(longitude * PRECISION);
+    const chunk = encodeValue(lat - previousLatitude) + encodeValue(lng - previousLongitude);
+    previousLatitude = lat;
+    previousLongitude = lng;
+    return chunk;
+  }).join('');
+};
+
+/**
+ * Join encoded polylines end to end (a point shared by two neighbours is kept once)
+ * @param {Array<string>} encodedLines
+ * @returns {string}
+ */
+const join = (encodedLines) => {
+  const points = [];
+
+  encodedLines.filter(Boolean).forEach(line => {
+    const decoded = decode(line);
+    const last = points[points.length - 1];
+    const first = decoded[0];
+    const start = last && first && last.latitude === first.latitude && last.longitude === first.longitude ? 1 : 0;
+    points.push(...decoded.slice(start));
+  });
+
+  return encode(points);
+};
+
+module.exports = {
+  decode,
+  encode,
+  join
+};
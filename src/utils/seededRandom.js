@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * Seeded randomness for itinerary generation.
+ * The same seed, inputs and provider responses always give the same itinerary.
+ */
+
+/**
+ * New seed for a run that didn't ask for one
+ * @returns {string} 8 hex characters
+ */
+const createSeed = () => crypto.randomBytes(4).toString('hex');
+
+/**
+ * Validate a seed sent by a client
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSeed = (seed) => {
+  if (seed === undefined || seed === null) return null;
+  if (Number.isInteger(seed)) return null;
+  if (typeof seed === 'string' && seed.trim().length > 0 && seed.length <= 64) return null;
+  return 'seed must be an integer or a string of up to 64 characters';
+};
+
+/**
+ * Deterministic random source (mulberry32 over an FNV-1a hash of the seed)
+ * @param {string|number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = 0x811c9dc5;
+  for (const char of String(seed)) {
+    state ^= char.charCodeAt(0);
+    state = Math.imul(state, 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffled copy of a list (Fisher-Yates). Ranking a shuffled list with a stable
+ * sort breaks ties between equally good places the same way for the same seed.
+ * @param {Array} list
+ * @param {Function} random - From createRandom (the list is copied unchanged without one)
+ */
+const shuffle = (list, random) => {
+  const copy = [...list];
+  if (!random) return copy;
+
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+module.exports = {
+  createSeed,
+  validateSeed,
+  createRandom,
+  shuffle
+};